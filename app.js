@@ -1,29 +1,32 @@
 // ===== State =====
-let state = {
-  originalHtml: '',
-  links: [],
-  groups: {},
-  warnings: [],
-  stats: {},
-  targetSelfCount: 0,
-  previewReady: false
-};
-
-// ===== Template Syntax Protection =====
-function protectTemplateSyntax(html) {
-  const placeholders = [];
-  const protectedHtml = html.replace(/\{\{(?:[^}]|\}(?!\}))*\}\}/g, (match) => {
-    const idx = placeholders.length;
-    placeholders.push(match);
-    return `__SRLC_TPL_${idx}__`;
-  });
-  return { html: protectedHtml, placeholders };
+function createEmptyState() {
+  return {
+    originalHtml: '',
+    format: 'html',
+    analysisHtml: '',
+    page: null,
+    removedDefinitions: [],
+    links: [],
+    deletedLinks: [],
+    pendingDecisions: [],
+    groups: {},
+    warnings: [],
+    density: [],
+    stats: {},
+    attributeCleanup: {},
+    linkFixes: [],
+    textEdits: [],
+    redirectRewrites: [],
+    relChanges: [],
+    outputMode: 'serialized',
+    previewReady: false,
+    previewSnapshot: null,
+    reviewedGroups: [],
+    history: { undo: [], redo: [] }
+  };
 }
 
-function restoreTemplateSyntax(html, placeholders) {
-  if (!placeholders || placeholders.length === 0) return html;
-  return html.replace(/__SRLC_TPL_(\d+)__/g, (_, idx) => placeholders[parseInt(idx)]);
-}
+let state = createEmptyState();
 
 // ===== Utilities =====
 function escapeHtml(str) {
@@ -32,6 +35,11 @@ function escapeHtml(str) {
   return d.innerHTML;
 }
 
+// escapeHtml leaves quotes alone, so attribute values go through this
+function escapeAttr(str) {
+  return escapeHtml(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function showToast(msg) {
   document.querySelectorAll('.toast').forEach(t => t.remove());
   const t = document.createElement('div');
@@ -41,298 +49,98 @@ function showToast(msg) {
   setTimeout(() => t.remove(), 2200);
 }
 
-function normalizeUrl(href) {
-  if (!href) return null;
-  href = href.trim();
-  if (!href || href === '#' || href.startsWith('javascript:') || href.startsWith('mailto:') || href.startsWith('tel:')) return null;
-
-  try {
-    if (href.startsWith('http://') || href.startsWith('https://') || href.startsWith('//')) {
-      const url = new URL(href, 'https://placeholder.com');
-      let path = url.pathname.toLowerCase();
-      if (path.length > 1 && path.endsWith('/')) path = path.slice(0, -1);
-      // Preserve query and fragment — different params/anchors = different destinations
-      return path + url.search.toLowerCase() + url.hash.toLowerCase();
-    } else {
-      // Relative URL: split into path + rest (query/fragment)
-      let normalized = href.toLowerCase();
-      const firstSpecial = Math.min(
-        normalized.indexOf('?') === -1 ? Infinity : normalized.indexOf('?'),
-        normalized.indexOf('#') === -1 ? Infinity : normalized.indexOf('#')
-      );
-      let path = firstSpecial === Infinity ? normalized : normalized.slice(0, firstSpecial);
-      const rest = firstSpecial === Infinity ? '' : normalized.slice(firstSpecial);
-      if (path.length > 1 && path.endsWith('/')) path = path.slice(0, -1);
-      return (path + rest) || normalized;
-    }
-  } catch {
-    return href.toLowerCase();
-  }
-}
-
-// ===== Link Classification =====
-function isImageLink(a) {
-  const imgs = a.querySelectorAll('img');
-  if (imgs.length === 0) return false;
-  const textContent = Array.from(a.childNodes).reduce((txt, node) => {
-    if (node.nodeType === Node.TEXT_NODE) return txt + node.textContent.trim();
-    if (node.nodeType === Node.ELEMENT_NODE && node.tagName !== 'IMG' && !node.querySelector('img')) {
-      return txt + node.textContent.trim();
-    }
-    return txt;
-  }, '');
-  return textContent.length === 0;
-}
-
-function isCtaLink(a) {
-  const cls = (a.className || '').toLowerCase();
-  const txt = (a.textContent || '').toLowerCase().trim();
-
-  if (/\b(btn|button|cta|shop-now|buy-now|add-to-cart)\b/.test(cls)) return true;
-  if (/^(shop|buy|order|add to cart|get it|check price|see price|view deal|view product|learn more)\b/i.test(txt)) return true;
-
-  const parentCls = (a.parentElement?.className || '').toLowerCase();
-  if (/\b(btn|button|cta|shop|call-to-action)\b/.test(parentCls)) return true;
-
-  return false;
-}
-
-function isInHeading(el) {
-  let cur = el;
-  while (cur) {
-    if (/^H[1-6]$/.test(cur.tagName)) return true;
-    cur = cur.parentElement;
-  }
-  return false;
-}
-
-function isInternalLink(href, domain) {
-  if (!href) return true;
-  if (href.startsWith('/') || href.startsWith('#') || href.startsWith('?')) return true;
-  if (!domain) return !href.startsWith('http');
-  try {
-    const url = new URL(href, 'https://placeholder.com');
-    return url.hostname.includes(domain.toLowerCase());
-  } catch { return true; }
+// ===== HTML Generation =====
+// The analysis engine lives in engine.js (window.SRLC); these bind it to the current article.
+function getDomain() {
+  return document.getElementById('site-domain').value.trim();
 }
 
-function isExternalLink(href, domain) {
-  if (!domain) return false;
-  if (!href || href.startsWith('/') || href.startsWith('#')) return false;
-  try {
-    const url = new URL(href, 'https://placeholder.com');
-    return !url.hostname.includes(domain.toLowerCase());
-  } catch { return false; }
-}
-
-function getParentTag(el) {
-  let cur = el.parentElement;
-  while (cur) {
-    const t = cur.tagName.toLowerCase();
-    if (['p','li','td','th','h1','h2','h3','h4','h5','h6','blockquote','figcaption','dd','dt'].includes(t)) return t;
-    cur = cur.parentElement;
-  }
-  return 'div';
-}
-
-function getContext(linkEl) {
-  const parent = linkEl.parentElement;
-  if (!parent) return '';
-  const text = parent.textContent || '';
-  const linkText = linkEl.textContent || '';
-  const idx = text.indexOf(linkText);
-  if (idx === -1) return text.slice(0, 80);
-  const start = Math.max(0, idx - 30);
-  const end = Math.min(text.length, idx + linkText.length + 30);
-  let ctx = text.slice(start, end).trim();
-  if (start > 0) ctx = '...' + ctx;
-  if (end < text.length) ctx += '...';
-  return ctx;
-}
-
-// ===== Analysis Engine =====
-function analyzeHtml(html) {
-  const domain = document.getElementById('site-domain').value.trim();
-  const { html: protectedHtml } = protectTemplateSyntax(html);
-  const container = document.createElement('div');
-  container.innerHTML = protectedHtml;
-
-  const h1 = container.querySelector('h1');
-  const title = h1 ? h1.textContent.trim() : '';
-
-  const allAnchors = container.querySelectorAll('a[href]');
-  const links = [];
-  const groups = {};
-  const warnings = [];
-
-  allAnchors.forEach((a, rawIndex) => {
-    const href = a.getAttribute('href');
-    const normalized = normalizeUrl(href);
-
-    if (!normalized) {
-      if (href && href !== '#') {
-        warnings.push({ type: 'broken', message: `Broken/invalid link: href="${href}" — "${(a.textContent||'').trim().slice(0,40)}"` });
-      }
-      return;
-    }
-
-    const img = isImageLink(a);
-    const cta = !img && isCtaLink(a);
-    const heading = isInHeading(a);
-    const external = isExternalLink(href, domain);
-    const parentTag = getParentTag(a);
-    const context = getContext(a);
-    const anchorText = img ? '[image]' : ((a.textContent || '').trim() || '[empty]');
-
-    const link = {
-      id: links.length,
-      rawIndex,
-      href,
-      normalizedHref: normalized,
-      anchorText,
-      isImageLink: img,
-      isCtaLink: cta,
-      isInHeading: heading,
-      isExternal: external,
-      parentTag,
-      context,
-      keep: true,
-      rel: a.getAttribute('rel') || ''
-    };
-
-    links.push(link);
-
-    if (!groups[normalized]) {
-      groups[normalized] = {
-        normalizedHref: normalized,
-        originalHref: href,
-        links: [],
-        imageCount: 0,
-        textCount: 0,
-        ctaCount: 0,
-        inHeadingCount: 0
-      };
-    }
-    const g = groups[normalized];
-    g.links.push(link);
-    if (img) g.imageCount++;
-    else if (cta) g.ctaCount++;
-    else g.textCount++;
-    if (heading) g.inHeadingCount++;
-  });
-
-  // Edge case warnings
-  for (const [url, group] of Object.entries(groups)) {
-    if (group.textCount === 0 && group.ctaCount === 0 && group.imageCount > 0) {
-      warnings.push({ type: 'image-only', message: `"${url}" only appears as image links (${group.imageCount}). Consider adding a text link for SEO.` });
-    }
-    if (group.inHeadingCount > 0) {
-      warnings.push({ type: 'heading', message: `"${url}" has ${group.inHeadingCount} link(s) inside heading tags — consider removing.` });
-    }
+function generateCleanHtml(article = state) {
+  const rules = loadRules(getDomain());
+  if (article.format === 'markdown') {
+    const clean = SRLCMarkdown.generateCleanMarkdown(article.originalHtml, article.links, { rewriteRedirects: rules.rewriteRedirects });
+    article.attributeCleanup = {};
+    article.linkFixes = clean.linkFixes;
+    article.textEdits = clean.textEdits;
+    article.redirectRewrites = clean.redirectRewrites;
+    article.relChanges = [];
+    article.removedDefinitions = clean.removedDefinitions;
+    article.outputMode = 'markdown';
+    return clean.markdown;
   }
-
-  // Paragraph density
-  container.querySelectorAll('p').forEach(p => {
-    const count = p.querySelectorAll('a[href]').length;
-    if (count >= 5) {
-      warnings.push({ type: 'density', message: `High link density (${count} links) in paragraph: "${(p.textContent||'').slice(0,60).trim()}..."` });
-    }
+  const { html, attributeCleanup, linkFixes, textEdits, redirectRewrites, relChanges, lossless } = SRLC.generateCleanHtml(article.analysisHtml, article.links, {
+    rewriteRedirects: rules.rewriteRedirects,
+    lossless: rules.lossless,
+    rel: rules.rel,
+    attributes: rules.attributes,
+    domain: getDomain()
   });
-
-  const totalLinks = links.length;
-  const uniqueUrls = Object.keys(groups).length;
-  const imageLinks = links.filter(l => l.isImageLink).length;
-  const ctaLinks = links.filter(l => l.isCtaLink).length;
-  const textLinks = totalLinks - imageLinks - ctaLinks;
-  const externalLinks = links.filter(l => l.isExternal).length;
-
-  return {
-    links, groups, warnings, title,
-    stats: { totalLinks, uniqueUrls, imageLinks, ctaLinks, textLinks, externalLinks }
-  };
-}
-
-// ===== Auto-Strip Logic =====
-function hasDifferentAnchors(textLinks) {
-  if (textLinks.length < 2) return false;
-  const normalized = textLinks.map(l => l.anchorText.toLowerCase().trim());
-  return new Set(normalized).size > 1;
+  article.attributeCleanup = attributeCleanup;
+  article.linkFixes = linkFixes;
+  article.textEdits = textEdits;
+  article.redirectRewrites = redirectRewrites;
+  article.relChanges = relChanges;
+  article.outputMode = !rules.lossless ? 'serialized' : lossless ? 'lossless' : 'unverified';
+  return wrapPage(article, html);
 }
 
-function applyAutoStrip() {
-  for (const group of Object.values(state.groups)) {
-    const textLinks = group.links.filter(l => !l.isImageLink && !l.isCtaLink);
-
-    if (textLinks.length === 2 && hasDifferentAnchors(textLinks)) {
-      // 2 text occurrences with different anchor text: keep both, let user decide
-      group.links.forEach(l => l.keep = true);
-    } else {
-      // Same anchor or 3+: keep first text link, strip rest
-      let firstTextKept = false;
-      for (const link of group.links) {
-        if (link.isImageLink || link.isCtaLink) {
-          link.keep = true;
-          continue;
-        }
-        if (!firstTextKept) {
-          link.keep = true;
-          firstTextKept = true;
-        } else {
-          link.keep = false;
-        }
-      }
-    }
-  }
+// Put a full page back together around its cleaned content root. The root's
+// own leading/trailing whitespace is kept; the preview body adds its own.
+function wrapPage(article, html) {
+  if (!article.page) return html;
+  const content = article.analysisHtml;
+  const lead = content.match(/^\s*/)[0];
+  const trail = content.slice(lead.length).match(/\s*$/)[0];
+  return article.page.before + lead + html.trim() + trail + article.page.after;
 }
 
-function applyKeepAll() {
-  state.links.forEach(l => l.keep = true);
+// Format of pasted text, from the input format picker (auto = sniff it)
+function inputFormat(text) {
+  const choice = document.getElementById('input-format').value;
+  if (choice !== 'auto') return choice;
+  return SRLCMarkdown.looksLikeMarkdown(text) ? 'markdown' : 'html';
 }
 
-// ===== HTML Generation =====
-function processContainer(html, callback) {
-  const { html: protectedHtml, placeholders } = protectTemplateSyntax(html);
-  const container = document.createElement('div');
-  container.innerHTML = protectedHtml;
-  const anchors = Array.from(container.querySelectorAll('a[href]'));
-  let linkIdx = 0;
-
-  anchors.forEach(a => {
-    const href = a.getAttribute('href');
-    const normalized = normalizeUrl(href);
-    if (!normalized) return;
-    if (linkIdx < state.links.length) {
-      callback(a, state.links[linkIdx]);
-      linkIdx++;
-    }
-  });
-
-  return { container, placeholders };
+// Engine options for the current domain's settings
+function analysisOptions(domain, rules) {
+  return {
+    domain,
+    canonical: rules.canonical,
+    anchors: rules.anchors,
+    density: rules.density,
+    redirects: loadRedirects(domain),
+    sitemap: loadSitemap(domain)
+  };
 }
 
-function generateCleanHtml() {
-  const { container, placeholders } = processContainer(state.originalHtml, (a, link) => {
-    if (!link.keep) {
-      a.setAttribute('data-srlc-remove', 'true');
-    }
-  });
-
-  // Unwrap removed links
-  container.querySelectorAll('[data-srlc-remove]').forEach(a => {
-    const parent = a.parentNode;
-    while (a.firstChild) parent.insertBefore(a.firstChild, a);
-    parent.removeChild(a);
-  });
-
-  // Strip target="_self" from all links (it's always the browser default, never needed)
-  let targetSelfCount = 0;
-  container.querySelectorAll('a[target="_self"]').forEach(a => {
-    a.removeAttribute('target');
-    targetSelfCount++;
-  });
-  state.targetSelfCount = targetSelfCount;
-
-  return restoreTemplateSyntax(container.innerHTML, placeholders);
+/**
+ * Analyze an article with the current domain, URL matching, redirects, sitemap and rules.
+ * Markdown is analyzed through its shadow HTML (article.analysisHtml); a full
+ * HTML page through its content root (`root` selector, blank = auto-detect).
+ * Throws when the content root can't be found.
+ */
+function analyzeArticle(html, format = 'html', root = document.getElementById('content-root').value.trim()) {
+  const domain = getDomain();
+  const rules = loadRules(domain);
+  const article = createEmptyState();
+  const options = analysisOptions(domain, rules);
+  const page = format === 'html' ? SRLC.extractContentRoot(html, { root }) : null;
+  const content = page ? page.content : html;
+  const result = format === 'markdown'
+    ? SRLCMarkdown.analyzeMarkdown(html, options)
+    : SRLC.analyzeHtml(content, options);
+  article.originalHtml = html;
+  article.format = format;
+  article.analysisHtml = format === 'markdown' ? result.html : content;
+  article.page = page && { before: page.before, after: page.after, selector: page.selector, detection: page.detection, root };
+  article.links = result.links;
+  article.groups = result.groups;
+  article.warnings = result.warnings;
+  article.density = result.density;
+  article.stats = result.stats;
+  article.articleTitle = result.title;
+  SRLC.applyAutoStrip(article.groups, rules);
+  return article;
 }
 
 function generateCleanHtmlFromPreview() {
@@ -342,63 +150,149 @@ function generateCleanHtmlFromPreview() {
     return generateCleanHtml();
   }
 
-  const body = frame.contentDocument.body;
-  const clone = body.cloneNode(true);
+  return cleanHtmlFromPreviewBody(frame.contentDocument.body, state);
+}
+
+// Markers the preview adds for its own bookkeeping, never part of the output
+const PREVIEW_ATTRIBUTES = ['data-srlc-missing', 'data-srlc-focus', 'data-srlc-untracked', 'data-srlc-region', 'data-srlc-section', 'data-srlc-heat', 'data-srlc-section-heat'];
 
-  // Remove hint div and scripts
+// Copy of the preview body with the hint, scripts and preview markers removed
+function previewArticleClone(body) {
+  const clone = body.cloneNode(true);
   const hint = clone.querySelector('.srlc-hint');
   if (hint) hint.remove();
   clone.querySelectorAll('script').forEach(s => s.remove());
+  clone.querySelectorAll(PREVIEW_ATTRIBUTES.map(name => `[${name}]`).join(', ')).forEach(el => {
+    PREVIEW_ATTRIBUTES.forEach(name => el.removeAttribute(name));
+  });
+  return clone;
+}
+
+// Turn a (possibly edited) preview body back into clean article HTML
+function cleanHtmlFromPreviewBody(body, article) {
+  // The Markdown preview is read-only; output comes from the source
+  if (article.format === 'markdown') return generateCleanHtml(article);
+
+  const clone = previewArticleClone(body);
+
+  const domain = getDomain();
+  const rules = loadRules(domain);
+  const rewriteRedirects = rules.rewriteRedirects;
+  const linkFixes = [];
+  const textEdits = [];
+  const redirectRewrites = [];
+  const relChanges = [];
+  const relActive = SRLC.isRelPolicyActive(rules.rel);
+  const rewrite = (a, link) => {
+    const fix = link && SRLC.rewriteLinkFix(a, link);
+    if (fix) linkFixes.push(fix);
+    const r = !fix && rewriteRedirects && link && SRLC.rewriteRedirect(a, link);
+    if (r) redirectRewrites.push(r);
+    const text = link && SRLC.rewriteLinkText(a, link);
+    if (text) textEdits.push(text);
+    const rel = relActive && link && SRLC.applyRelPolicy(a, link, rules.rel, domain);
+    if (rel) relChanges.push(rel);
+  };
 
   // Process toggleable links (data-link-id)
   clone.querySelectorAll('a[data-link-id]').forEach(a => {
     const linkId = parseInt(a.getAttribute('data-link-id'));
-    const link = state.links.find(l => l.id === linkId);
+    const link = article.links.find(l => l.id === linkId);
 
     if (link && !link.keep) {
       // Unwrap: replace <a> with its children
-      const parent = a.parentNode;
-      while (a.firstChild) parent.insertBefore(a.firstChild, a);
-      parent.removeChild(a);
+      SRLC.unwrapElement(a);
     } else {
-      // Kept: restore original attributes
-      const origStyle = a.getAttribute('data-orig-style');
-      const origTitle = a.getAttribute('data-orig-title');
-      if (origStyle) a.setAttribute('style', origStyle); else a.removeAttribute('style');
-      if (origTitle) a.setAttribute('title', origTitle); else a.removeAttribute('title');
-      a.removeAttribute('data-link-id');
-      a.removeAttribute('data-orig-style');
-      a.removeAttribute('data-orig-title');
-      a.removeAttribute('contenteditable');
+      restorePreviewAnchor(a);
+      rewrite(a, link);
     }
   });
 
   // Process protected links (image/CTA)
   clone.querySelectorAll('a[data-srlc-protected]').forEach(a => {
-    const origStyle = a.getAttribute('data-orig-style');
-    const origTitle = a.getAttribute('data-orig-title');
-    if (origStyle) a.setAttribute('style', origStyle); else a.removeAttribute('style');
-    if (origTitle) a.setAttribute('title', origTitle); else a.removeAttribute('title');
-    a.removeAttribute('data-srlc-protected');
-    a.removeAttribute('data-orig-style');
-    a.removeAttribute('data-orig-title');
-    a.removeAttribute('contenteditable');
+    const link = article.links.find(l => l.id === parseInt(a.getAttribute('data-srlc-protected')));
+    restorePreviewAnchor(a);
+    rewrite(a, link);
   });
 
-  // Strip target="_self" from all links (it's always the browser default, never needed)
-  let targetSelfCount = 0;
-  clone.querySelectorAll('a[target="_self"]').forEach(a => {
-    a.removeAttribute('target');
-    targetSelfCount++;
-  });
-  state.targetSelfCount = targetSelfCount;
+  article.attributeCleanup = SRLC.cleanAttributes(clone, rules.attributes);
+  article.linkFixes = linkFixes;
+  article.textEdits = textEdits;
+  article.redirectRewrites = redirectRewrites;
+  article.relChanges = relChanges;
 
   // Restore template syntax placeholders that were kept safe in the preview
-  return restoreTemplateSyntax(clone.innerHTML, state.placeholders);
+  const html = SRLC.restoreTemplateSyntax(clone.innerHTML, article.placeholders);
+  article.outputMode = 'serialized';
+  if (!rules.lossless) return wrapPage(article, html);
+
+  // Without text edits the preview matches the serialized source, so the
+  // source splice can be used instead. The preview body carries a little
+  // extra whitespace around the article, hence the trim.
+  const serialized = SRLC.generateCleanHtml(article.analysisHtml, article.links, { rewriteRedirects, rel: rules.rel, attributes: rules.attributes, domain }).html;
+  if (serialized.trim() === html.trim()) return generateCleanHtml(article);
+  article.outputMode = 'edited';
+  return wrapPage(article, html);
+}
+
+// Anchor text the preview should show for each text link: its edit while
+// the link is kept, otherwise the original (null)
+function previewAnchorTexts() {
+  return state.links
+    .filter(l => !l.isImageLink)
+    .map(l => ({ id: l.id, text: l.keep && typeof l.textEdit === 'string' ? l.textEdit : null }));
+}
+
+// Called directly rather than posted: the clean output is read back from the
+// preview body right after, so the anchors must already be updated
+function syncPreviewAnchorTexts() {
+  const frame = document.getElementById('preview-frame');
+  if (state.previewReady && frame.contentWindow && frame.contentWindow.setAnchorTexts) {
+    frame.contentWindow.setAnchorTexts(previewAnchorTexts());
+  }
+}
+
+// Tag the density regions (same order as state.density) for the heatmap
+function tagDensityRegions(container) {
+  SRLC.densityRegions(container, new Map()).forEach((region, i) => {
+    region.nodes.forEach(node => {
+      if (node.nodeType === 1) node.setAttribute(region.kind === 'section' ? 'data-srlc-section' : 'data-srlc-region', i);
+    });
+  });
+}
+
+// Put back the attributes the preview replaced on an anchor and drop its markers
+function restorePreviewAnchor(a) {
+  const origStyle = a.getAttribute('data-orig-style');
+  const origTitle = a.getAttribute('data-orig-title');
+  if (origStyle) a.setAttribute('style', origStyle); else a.removeAttribute('style');
+  if (origTitle) a.setAttribute('title', origTitle); else a.removeAttribute('title');
+  a.removeAttribute('data-link-id');
+  a.removeAttribute('data-srlc-protected');
+  a.removeAttribute('data-orig-style');
+  a.removeAttribute('data-orig-title');
+  a.removeAttribute('contenteditable');
+}
+
+// Preview tooltip: link number, why it is kept/stripped, and the click action
+function linkTitle(link) {
+  const toggleable = !link.isImageLink && !link.isCtaLink;
+  const action = !toggleable ? 'Image/CTA link (always kept)'
+    : link.keep ? 'Click to remove this link' : 'Click to keep this link';
+  const why = link.reason ? ` — ${link.reason.message}` : '';
+  return `Link ${SRLC.linkNumber(link)}${why}\n${action}${sitemapHint(link)}`;
+}
+
+// Preview tooltip line for links the sitemap doesn't list
+function sitemapHint(link) {
+  if (link.fix) return `\nFixed: now points to ${link.fix.to} (Alt+click to undo)`;
+  if (!link.notInSitemap) return '';
+  const [best] = link.notInSitemap.suggestions;
+  return `\nNot in sitemap — probably broken${best ? `. Alt+click to point it to ${best}` : ''}`;
 }
 
 function generatePreviewHtml() {
-  const { container, placeholders } = processContainer(state.originalHtml, (a, link) => {
+  const { container, placeholders } = SRLC.processContainer(state.analysisHtml, state.links, (a, link) => {
     const toggleable = !link.isImageLink && !link.isCtaLink;
 
     // Save original attributes before overwriting
@@ -408,11 +302,11 @@ function generatePreviewHtml() {
     if (link.keep) {
       a.style.cssText = 'background:#bbf7d0;padding:1px 3px;border-radius:3px;outline:1px solid #86efac;'
         + (toggleable ? 'cursor:pointer;' : '');
-      a.setAttribute('title', toggleable ? 'Click to remove this link' : 'Image/CTA link (always kept)');
     } else {
       a.style.cssText = 'background:#fecaca;padding:1px 3px;border-radius:3px;text-decoration:line-through;color:#991b1b;cursor:pointer;';
-      a.setAttribute('title', 'Click to keep this link');
     }
+    a.setAttribute('title', linkTitle(link));
+    if (link.notInSitemap && !link.fix) a.setAttribute('data-srlc-missing', link.id);
 
     // Make links non-editable so clicks toggle instead of placing cursor
     a.setAttribute('contenteditable', 'false');
@@ -420,10 +314,12 @@ function generatePreviewHtml() {
     if (toggleable) {
       a.setAttribute('data-link-id', link.id);
     } else {
-      a.setAttribute('data-srlc-protected', '1');
+      a.setAttribute('data-srlc-protected', link.id);
     }
   });
 
+  tagDensityRegions(container);
+
   // Keep placeholders in preview — restoring {{...}} here would break iframe
   // parsing because quotes inside attributes get mangled by the HTML parser.
   // Placeholders are restored during clean HTML extraction instead.
@@ -436,17 +332,92 @@ function generatePreviewHtml() {
     table{border-collapse:collapse;width:100%;margin:1em 0;}
     td,th{border:1px solid #ddd;padding:8px;text-align:left;}
     a[data-link-id]:hover{opacity:0.7;transition:opacity 0.1s;}
+    a[data-srlc-missing]{border-bottom:2px dotted #d97706;}
+    a[data-srlc-focus]{box-shadow:0 0 0 2px #fff,0 0 0 4px #4f46e5;}
+    .srlc-heatmap [data-srlc-heat="1"]{background:rgba(254,240,138,.45);}
+    .srlc-heatmap [data-srlc-heat="2"]{background:rgba(253,186,116,.45);}
+    .srlc-heatmap [data-srlc-heat="3"]{background:rgba(248,113,113,.35);}
+    .srlc-heatmap [data-srlc-section-heat="1"]{box-shadow:-8px 0 0 #fde68a;}
+    .srlc-heatmap [data-srlc-section-heat="2"]{box-shadow:-8px 0 0 #fdba74;}
+    .srlc-heatmap [data-srlc-section-heat="3"]{box-shadow:-8px 0 0 #f87171;}
     .srlc-hint{background:#f0f1f5;padding:6px 12px;border-radius:6px;font-size:11px;color:#6c7281;margin-bottom:16px;line-height:1.4;}
     .srlc-hint strong{color:#4f46e5;}
-  </style></head><body contenteditable="true">
-  <div class="srlc-hint" contenteditable="false">Click <strong style="background:#bbf7d0;padding:1px 4px;border-radius:3px;">green</strong> or <strong style="background:#fecaca;padding:1px 4px;border-radius:3px;text-decoration:line-through;color:#991b1b;">red</strong> links to toggle. Text around links is editable.</div>
+  </style></head><body class="${heatmapOn ? 'srlc-heatmap' : ''}" contenteditable="${state.format === 'markdown' ? 'false' : 'true'}">
+  <div class="srlc-hint" contenteditable="false">Click <strong style="background:#bbf7d0;padding:1px 4px;border-radius:3px;">green</strong> or <strong style="background:#fecaca;padding:1px 4px;border-radius:3px;text-decoration:line-through;color:#991b1b;">red</strong> links to toggle. ${state.format === 'markdown' ? 'Markdown preview (read-only) — removed links become plain text.' : 'Text around links is editable — select text to link it, right-click a link to change its href.'}</div>
   ${bodyHtml}
   <script>
+    // Anchor markup as analyzed, so an edited anchor text can be reverted
+    var originalAnchors = {};
+    var anchors = document.querySelectorAll('a[data-link-id], a[data-srlc-protected]');
+    for (var o = 0; o < anchors.length; o++) {
+      originalAnchors[anchors[o].getAttribute('data-link-id') || anchors[o].getAttribute('data-srlc-protected')] = anchors[o].innerHTML;
+    }
+    function setAnchorTexts(texts) {
+      for (var t = 0; t < texts.length; t++) {
+        var a = document.querySelector('a[data-link-id="' + texts[t].id + '"], a[data-srlc-protected="' + texts[t].id + '"]');
+        if (!a) continue;
+        if (!(texts[t].id in originalAnchors)) originalAnchors[texts[t].id] = a.innerHTML;
+        if (texts[t].text !== null) {
+          if (a.textContent !== texts[t].text) a.textContent = texts[t].text;
+        } else if (a.innerHTML !== originalAnchors[texts[t].id]) {
+          a.innerHTML = originalAnchors[texts[t].id];
+        }
+      }
+    }
+    setAnchorTexts(${JSON.stringify(previewAnchorTexts()).replace(/</g, '\\u003c')});
+
+    // Typing is reported in bursts so one undo step covers one pause-delimited edit
+    var editTimer = null;
+    function flushEdit() {
+      if (!editTimer) return;
+      clearTimeout(editTimer);
+      editTimer = null;
+      parent.postMessage({type:'srlc-edit'}, '*');
+    }
+    document.addEventListener('input', function() {
+      clearTimeout(editTimer);
+      editTimer = setTimeout(flushEdit, 500);
+    });
+    document.addEventListener('keydown', function(e) {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      var key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        flushEdit();
+        parent.postMessage({type: key === 'y' || e.shiftKey ? 'srlc-redo' : 'srlc-undo'}, '*');
+      }
+    });
+    // Selections are reported so the parent can offer to link them
+    var selectTimer = null;
+    document.addEventListener('selectionchange', function() {
+      clearTimeout(selectTimer);
+      selectTimer = setTimeout(function() {
+        var selection = document.getSelection();
+        parent.postMessage({type:'srlc-select', text: selection.isCollapsed ? '' : selection.toString()}, '*');
+      }, 150);
+    });
+    document.addEventListener('contextmenu', function(e) {
+      var link = e.target.closest('a[data-link-id]');
+      if (link) {
+        e.preventDefault();
+        flushEdit();
+        parent.postMessage({type:'srlc-pick', id: parseInt(link.getAttribute('data-link-id'))}, '*');
+      }
+    });
     document.addEventListener('click', function(e) {
+      var missing = e.altKey && e.target.closest('a[data-link-id], a[data-srlc-protected]');
+      if (missing) {
+        e.preventDefault();
+        e.stopPropagation();
+        flushEdit();
+        parent.postMessage({type:'srlc-fix', id: parseInt(missing.getAttribute('data-link-id') || missing.getAttribute('data-srlc-protected'))}, '*');
+        return;
+      }
       var link = e.target.closest('a[data-link-id]');
       if (link) {
         e.preventDefault();
         e.stopPropagation();
+        flushEdit();
         parent.postMessage({type:'srlc-toggle', id: parseInt(link.getAttribute('data-link-id'))}, '*');
       }
     });
@@ -455,16 +426,21 @@ function generatePreviewHtml() {
       if (e.data.type === 'srlc-scroll') {
         window.scrollTo(0, e.data.scrollY);
       }
+      if (e.data.type === 'srlc-focus') {
+        var focused = document.querySelectorAll('[data-srlc-focus]');
+        for (var f = 0; f < focused.length; f++) focused[f].removeAttribute('data-srlc-focus');
+        var target = e.data.id !== null && document.querySelector('a[data-link-id="' + e.data.id + '"], a[data-srlc-protected="' + e.data.id + '"]');
+        if (target) target.setAttribute('data-srlc-focus', '');
+      }
       if (e.data.type === 'srlc-update') {
         var link = document.querySelector('a[data-link-id="' + e.data.id + '"]');
         if (link) {
           if (e.data.keep) {
             link.style.cssText = 'background:#bbf7d0;padding:1px 3px;border-radius:3px;outline:1px solid #86efac;cursor:pointer;';
-            link.setAttribute('title', 'Click to remove this link');
           } else {
             link.style.cssText = 'background:#fecaca;padding:1px 3px;border-radius:3px;text-decoration:line-through;color:#991b1b;cursor:pointer;';
-            link.setAttribute('title', 'Click to keep this link');
           }
+          link.setAttribute('title', e.data.title);
         }
       }
       if (e.data.type === 'srlc-update-all') {
@@ -475,14 +451,31 @@ function generatePreviewHtml() {
           if (link) {
             if (u.keep) {
               link.style.cssText = 'background:#bbf7d0;padding:1px 3px;border-radius:3px;outline:1px solid #86efac;cursor:pointer;';
-              link.setAttribute('title', 'Click to remove this link');
             } else {
               link.style.cssText = 'background:#fecaca;padding:1px 3px;border-radius:3px;text-decoration:line-through;color:#991b1b;cursor:pointer;';
-              link.setAttribute('title', 'Click to keep this link');
             }
+            link.setAttribute('title', u.title);
           }
         }
       }
+      if (e.data.type === 'srlc-heat') {
+        document.body.classList.toggle('srlc-heatmap', e.data.on);
+        var regions = document.querySelectorAll('[data-srlc-region], [data-srlc-section]');
+        for (var r = 0; r < regions.length; r++) {
+          var region = regions[r].getAttribute('data-srlc-region');
+          var section = regions[r].getAttribute('data-srlc-section');
+          if (region !== null) regions[r].setAttribute('data-srlc-heat', e.data.levels[region] || 0);
+          if (section !== null) regions[r].setAttribute('data-srlc-section-heat', e.data.levels[section] || 0);
+        }
+      }
+      if (e.data.type === 'srlc-missing') {
+        var anchors = document.querySelectorAll('a[data-link-id], a[data-srlc-protected]');
+        for (var j = 0; j < anchors.length; j++) {
+          var id = parseInt(anchors[j].getAttribute('data-link-id') || anchors[j].getAttribute('data-srlc-protected'));
+          if (e.data.ids.indexOf(id) !== -1) anchors[j].setAttribute('data-srlc-missing', id);
+          else anchors[j].removeAttribute('data-srlc-missing');
+        }
+      }
     });
   <\/script>
   </body></html>`;
@@ -495,19 +488,45 @@ function renderStats() {
   const kept = state.links.filter(l => l.keep).length;
   const removed = state.links.filter(l => !l.keep).length;
 
-  const parts = [
+  const parts = [];
+  if (state.page) {
+    const how = state.page.detection === 'selector' ? 'Matched your selector' : `Auto-detected (${state.page.detection}) — set a content root selector to override`;
+    parts.push(`<div class="stat" title="${escapeAttr(how)}"><span class="stat-label">Root:</span> <span class="stat-value">${escapeHtml(state.page.selector)}</span></div>`);
+    parts.push(`<div class="stat-dot"></div>`);
+  }
+  parts.push(
     `<div class="stat"><span class="stat-label">Total:</span> <span class="stat-value">${s.totalLinks}</span></div>`,
     `<div class="stat-dot"></div>`,
     `<div class="stat"><span class="stat-label">Unique URLs:</span> <span class="stat-value">${s.uniqueUrls}</span></div>`,
     `<div class="stat-dot"></div>`,
     `<div class="stat"><span class="stat-label">Text:</span> <span class="stat-value">${s.textLinks}</span></div>`,
     `<div class="stat-dot"></div>`,
-    `<div class="stat"><span class="stat-label">Image:</span> <span class="stat-value">${s.imageLinks}</span></div>`,
-  ];
+    `<div class="stat"><span class="stat-label">Image:</span> <span class="stat-value">${s.imageLinks}</span></div>`
+  );
   if (s.ctaLinks) {
     parts.push(`<div class="stat-dot"></div>`);
     parts.push(`<div class="stat"><span class="stat-label">CTA:</span> <span class="stat-value">${s.ctaLinks}</span></div>`);
   }
+  if (s.templateLinks) {
+    parts.push(`<div class="stat-dot"></div>`);
+    parts.push(`<div class="stat"><span class="stat-label">Template hrefs:</span> <span class="stat-value">${s.templateLinks}</span></div>`);
+  }
+  if (s.redirectedLinks) {
+    parts.push(`<div class="stat-dot"></div>`);
+    parts.push(`<div class="stat"><span class="stat-label">Redirected:</span> <span class="stat-value">${s.redirectedLinks}</span></div>`);
+  }
+  if (s.notInSitemap) {
+    parts.push(`<div class="stat-dot"></div>`);
+    parts.push(`<div class="stat" title="Internal links to pages the sitemap doesn't list — see the warnings below"><span class="stat-label">Not in sitemap:</span> <span class="stat-value" style="color:#b45309">${s.notInSitemap}</span></div>`);
+  }
+  if (s.denseRegions) {
+    parts.push(`<div class="stat-dot"></div>`);
+    parts.push(`<div class="stat" title="Paragraphs, lists, tables and sections over a density threshold — toggle the preview heatmap to see them"><span class="stat-label">Dense regions:</span> <span class="stat-value" style="color:#b45309">${s.denseRegions}</span></div>`);
+  }
+  if (s.anchorIssues) {
+    parts.push(`<div class="stat-dot"></div>`);
+    parts.push(`<div class="stat" title="Anchor text warnings — see the list below"><span class="stat-label">Anchor issues:</span> <span class="stat-value" style="color:#b45309">${s.anchorIssues}</span></div>`);
+  }
   if (s.externalLinks) {
     parts.push(`<div class="stat-dot"></div>`);
     parts.push(`<div class="stat"><span class="stat-label">External:</span> <span class="stat-value">${s.externalLinks}</span></div>`);
@@ -523,35 +542,86 @@ function renderStats() {
 function renderWarnings() {
   const el = document.getElementById('warnings');
   if (!state.warnings.length) { el.classList.remove('visible'); return; }
-  const icons = { broken: '\u26A0', 'image-only': '\uD83D\uDDBC', heading: '\u24D8', density: '\u25CF' };
-  el.innerHTML = state.warnings.map(w =>
-    `<div class="warning">${icons[w.type]||'\u26A0'} ${escapeHtml(w.message)}</div>`
+  const icons = { broken: '\u26A0', 'image-only': '\uD83D\uDDBC', heading: '\u24D8', density: '\u25CF', redirect: '\u21AA', sitemap: '\u2298',
+    'anchor-generic': '\u2693', 'anchor-repeated': '\u2693', 'anchor-ambiguous': '\u2693', 'anchor-long': '\u2693' };
+  el.innerHTML = state.warnings.map((w, i) =>
+    `<div class="warning">${icons[w.type]||'\u26A0'} ${escapeHtml(w.message)}${w.type === 'sitemap' ? renderSitemapFixes(w, i) : ''}</div>`
   ).join('');
   el.classList.add('visible');
 }
 
-function renderPreview() {
+// Fix buttons for a not-in-sitemap warning; each repoints every link with that href
+function renderSitemapFixes(warning, index) {
+  const links = warning.linkIds.map(id => state.links.find(l => l.id === id));
+  const fixed = links.every(l => l.fix) && links[0].fix.to;
+  if (fixed) {
+    return ` <span class="warning-fixed">\u2714 now points to <code>${escapeHtml(fixed)}</code></span>
+      <button class="warning-fix" onclick="applySitemapFix(${index}, -1)">Undo fix</button>`;
+  }
+  return warning.suggestions.map((href, j) =>
+    ` <button class="warning-fix" onclick="applySitemapFix(${index}, ${j})" title="Point ${warning.linkIds.length > 1 ? `these ${warning.linkIds.length} links` : 'this link'} to ${escapeAttr(href)}">Use ${escapeHtml(href)}</button>`
+  ).join('');
+}
+
+// `savedBody` is a preview body captured earlier (capturePreviewBody) — it is
+// put back once the frame loads so text edits survive switching articles
+function renderPreview(savedBody) {
   const frame = document.getElementById('preview-frame');
   state.previewReady = false;
+  closeLinkTool();
   frame.srcdoc = generatePreviewHtml();
   frame.addEventListener('load', function onLoad() {
     frame.removeEventListener('load', onLoad);
+    if (savedBody && frame.contentDocument && frame.contentDocument.body) {
+      frame.contentDocument.body.innerHTML = savedBody;
+    }
     state.previewReady = true;
+    if (reconcilePreviewLinks()) {
+      updateUIPreservingPreview();
+      renderWarnings();
+    }
+    // A saved body is styled with the decisions of when it was saved
+    if (savedBody) sendBulkUpdateToPreview();
+    else sendHeatmapToPreview();
+    state.previewSnapshot = capturePreviewBody();
+    refreshReview();
   });
 }
 
+function capturePreviewBody() {
+  const frame = document.getElementById('preview-frame');
+  if (!state.previewReady || !frame.contentDocument || !frame.contentDocument.body) return null;
+  return frame.contentDocument.body.innerHTML;
+}
+
 function renderCleanOutput() {
   if (state.previewReady) {
     document.getElementById('clean-output').value = generateCleanHtmlFromPreview();
   } else {
     document.getElementById('clean-output').value = generateCleanHtml();
   }
+  renderOutputMode();
+  // The diff is only worth computing while someone is looking at it
+  if (document.getElementById('diff-tab').classList.contains('active')) renderDiff();
+}
+
+function renderOutputMode() {
+  const el = document.getElementById('output-mode');
+  const messages = {
+    lossless: 'Lossless: only the unwrapped links and cleaned-up link attributes changed — all other markup is byte-for-byte original.',
+    edited: 'Re-serialized: preview text edits can\'t be spliced into the source, so markup may be normalized.',
+    unverified: 'Re-serialized: this article\'s markup couldn\'t be spliced safely (see the Diff tab for what changed).',
+    markdown: 'Markdown: removed links become plain text; everything else is left as written.'
+  };
+  el.textContent = messages[state.outputMode] || '';
+  el.className = `output-mode output-mode-${state.outputMode}`;
 }
 
 function renderChanges() {
   const el = document.getElementById('changes-content');
   const removed = state.links.filter(l => !l.keep);
-  const totalChanges = removed.length + state.targetSelfCount;
+  const attributeCount = Object.values(state.attributeCleanup).reduce((n, count) => n + count, 0);
+  const totalChanges = removed.length + attributeCount + state.linkFixes.length + state.textEdits.length + state.redirectRewrites.length + state.relChanges.length + state.removedDefinitions.length;
 
   // Update tab badge
   const badge = document.getElementById('changes-badge');
@@ -569,20 +639,98 @@ function renderChanges() {
 
   let html = `<div class="changes-summary">
     <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" d="M9 5H7a2 2 0 0 0-2 2v12a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V7a2 2 0 0 0-2-2h-2M9 5a2 2 0 0 1 2-2h2a2 2 0 0 1 2 2M9 5h6"/></svg>
-    ${totalChanges} change${totalChanges !== 1 ? 's' : ''}: ${removed.length} link${removed.length !== 1 ? 's' : ''} unwrapped${state.targetSelfCount > 0 ? `, ${state.targetSelfCount} target="_self" removed` : ''}
+    ${totalChanges} change${totalChanges !== 1 ? 's' : ''}: ${removed.length} link${removed.length !== 1 ? 's' : ''} unwrapped${attributeCount > 0 ? `, ${attributeCount} junk attribute${attributeCount !== 1 ? 's' : ''} cleaned` : ''}${state.linkFixes.length > 0 ? `, ${state.linkFixes.length} link${state.linkFixes.length !== 1 ? 's' : ''} repointed` : ''}${state.textEdits.length > 0 ? `, ${state.textEdits.length} anchor${state.textEdits.length !== 1 ? 's' : ''} reworded` : ''}${state.redirectRewrites.length > 0 ? `, ${state.redirectRewrites.length} redirect${state.redirectRewrites.length !== 1 ? 's' : ''} rewritten` : ''}${state.relChanges.length > 0 ? `, ${state.relChanges.length} rel attribute${state.relChanges.length !== 1 ? 's' : ''} updated` : ''}${state.removedDefinitions.length > 0 ? `, ${state.removedDefinitions.length} reference definition${state.removedDefinitions.length !== 1 ? 's' : ''} removed` : ''}
   </div>`;
 
-  // target="_self" removals section
-  if (state.targetSelfCount > 0) {
+  // Attribute hygiene removals, one section per rule
+  Object.entries(SRLC.ATTRIBUTE_RULES).forEach(([id, rule]) => {
+    const count = state.attributeCleanup[id] || 0;
+    if (!count) return;
     html += `<div class="changes-section">
       <div class="changes-url-header">
-        target="_self" cleanup
-        <span class="changes-url-count">${state.targetSelfCount} stripped</span>
-      </div>
-      <div class="change-item change-item-attr">
-        <code>target="_self"</code> removed from ${state.targetSelfCount} internal link${state.targetSelfCount !== 1 ? 's' : ''} (it's the browser default)
+        ${escapeHtml(rule.label)} cleanup
+        <span class="changes-url-count">${count} stripped</span>
       </div>
+      <div class="change-item change-item-attr">${escapeHtml(rule.description)}</div>
     </div>`;
+  });
+
+  // Links pointed at a new href: a sitemap suggestion or an edit in the Links tab
+  if (state.linkFixes.length > 0) {
+    html += `<div class="changes-section">
+      <div class="changes-url-header">
+        Repointed links
+        <span class="changes-url-count">${state.linkFixes.length} repointed</span>
+      </div>`;
+    state.linkFixes.forEach(r => {
+      html += `<div class="change-item change-item-attr">
+        <span class="change-num">${SRLC.linkNumber(r)}</span>
+        <code>${escapeHtml(r.from)}</code> &rarr; <code>${escapeHtml(r.to)}</code>
+      </div>`;
+    });
+    html += `</div>`;
+  }
+
+  // Anchor text edited in the Links tab
+  if (state.textEdits.length > 0) {
+    html += `<div class="changes-section">
+      <div class="changes-url-header">
+        Reworded anchors
+        <span class="changes-url-count">${state.textEdits.length} edited</span>
+      </div>`;
+    state.textEdits.forEach(t => {
+      html += `<div class="change-item change-item-attr">
+        <span class="change-num">${SRLC.linkNumber(t)}</span>
+        <strong>${escapeHtml(t.from)}</strong> &rarr; <strong>${escapeHtml(t.to)}</strong>
+      </div>`;
+    });
+    html += `</div>`;
+  }
+
+  // Kept links pointed at their final redirect destination
+  if (state.redirectRewrites.length > 0) {
+    html += `<div class="changes-section">
+      <div class="changes-url-header">
+        Redirected links
+        <span class="changes-url-count">${state.redirectRewrites.length} rewritten</span>
+      </div>`;
+    state.redirectRewrites.forEach(r => {
+      html += `<div class="change-item change-item-attr">
+        <code>${escapeHtml(r.from)}</code> &rarr; <code>${escapeHtml(r.to)}</code>
+      </div>`;
+    });
+    html += `</div>`;
+  }
+
+  // rel attributes brought in line with the rel policy
+  if (state.relChanges.length > 0) {
+    html += `<div class="changes-section">
+      <div class="changes-url-header">
+        rel attributes
+        <span class="changes-url-count">${state.relChanges.length} updated</span>
+      </div>`;
+    state.relChanges.forEach(r => {
+      const rel = value => value ? `<code>rel="${escapeHtml(value)}"</code>` : '<em>no rel</em>';
+      html += `<div class="change-item change-item-attr">
+        <span class="change-num">${SRLC.linkNumber(r)}</span>
+        <code>${escapeHtml(r.href)}</code>: ${rel(r.from)} &rarr; ${rel(r.to)}
+        <div class="change-reason">${escapeHtml(r.notes.join('; '))}</div>
+      </div>`;
+    });
+    html += `</div>`;
+  }
+
+  // Markdown reference definitions that only removed links used
+  if (state.removedDefinitions.length > 0) {
+    html += `<div class="changes-section">
+      <div class="changes-url-header">
+        Unused reference definitions
+        <span class="changes-url-count">${state.removedDefinitions.length} removed</span>
+      </div>`;
+    state.removedDefinitions.forEach(label => {
+      html += `<div class="change-item change-item-attr"><code>[${escapeHtml(label)}]: …</code> no longer referenced</div>`;
+    });
+    html += `</div>`;
   }
 
   // Group link removals by URL
@@ -599,9 +747,22 @@ function renderChanges() {
           ${escapeHtml(url)}
           <span class="changes-url-count">${links.length} removal${links.length>1?'s':''}</span>
         </div>`;
+      html += renderVariants(state.groups[url]);
       links.forEach(l => {
         html += `<div class="change-item">
+          <span class="change-num">${SRLC.linkNumber(l)}</span>
           <code>&lt;a href="..."&gt;</code> ${escapeHtml(l.anchorText)} <code>&lt;/a&gt;</code> &rarr; <strong>${escapeHtml(l.anchorText)}</strong>
+          ${renderReason(l)}
+          <div class="change-context">${escapeHtml(l.context)}</div>
+        </div>`;
+      });
+      // Show what was kept for the same URL so each removal can be compared against it
+      const group = state.groups[url];
+      (group ? group.links.filter(l => l.keep) : []).forEach(l => {
+        html += `<div class="change-item change-item-kept">
+          <span class="change-num">${SRLC.linkNumber(l)}</span>
+          kept <strong>${escapeHtml(l.anchorText)}</strong>
+          ${renderReason(l)}
           <div class="change-context">${escapeHtml(l.context)}</div>
         </div>`;
       });
@@ -612,106 +773,1927 @@ function renderChanges() {
   el.innerHTML = html;
 }
 
-// ===== UI Update Functions =====
-function updateUI() {
-  renderStats();
-  renderPreview();
-  renderCleanOutput();
-  renderChanges();
+// When several spellings were merged into one group, list them with the
+// canonicalization steps that merged them so a wrong group can be tuned
+function renderVariants(group) {
+  if (!group || group.variants.length < 2) return '';
+  const items = group.variants.map(v =>
+    `<li><code>${escapeHtml(v.href)}</code>${v.steps.length ? ` — ${escapeHtml(v.steps.join('; '))}` : ''}</li>`
+  ).join('');
+  return `<div class="changes-variants">Matched as the same URL:<ul>${items}</ul></div>`;
 }
 
-function sendBulkUpdateToPreview() {
-  const frame = document.getElementById('preview-frame');
-  if (!frame.contentWindow) return;
-  const updates = state.links
-    .filter(l => !l.isImageLink && !l.isCtaLink)
-    .map(l => ({ id: l.id, keep: l.keep }));
-  frame.contentWindow.postMessage({ type: 'srlc-update-all', updates }, '*');
+function renderReason(link) {
+  if (!link.reason) return '';
+  const rule = SRLC.RULE_LABELS[link.reason.rule] || link.reason.rule;
+  return `<span class="change-rule">${escapeHtml(rule)}</span>
+    <div class="change-reason">Why: ${escapeHtml(link.reason.message)}</div>`;
 }
 
-function updateUIPreservingPreview() {
-  sendBulkUpdateToPreview();
-  renderStats();
-  renderCleanOutput();
-  renderChanges();
+// ===== Links Inventory =====
+// Every link in the article as a table that sorts by any column, filters per
+// column and by a free-text search, and edits a link's href or anchor text.
+// Edits are stored on the link record (fix / textEdit) like sitemap fixes,
+// so they reach the clean output, undo history and saved sessions.
+const linksView = { sort: 'id', dir: 1, editing: null };
+
+function linkAnchor(link) {
+  return typeof link.textEdit === 'string' ? link.textEdit : link.anchorText;
 }
 
-// ===== Input Section Collapse =====
-function collapseInput() {
-  const body = document.getElementById('input-body');
-  const bar = document.getElementById('input-collapse-bar');
-  const summary = document.getElementById('input-collapse-summary');
+function linkHref(link) {
+  return link.fix ? link.fix.to : link.href;
+}
 
-  const charCount = state.originalHtml.length;
-  const linkCount = state.stats.totalLinks;
-  const titlePart = state.articleTitle ? `${state.articleTitle}  ·  ` : '';
-  summary.textContent = `${titlePart}${charCount.toLocaleString()} chars, ${linkCount} links found`;
+// Grouping key a fresh analysis would give an href, redirects followed
+function groupKeyFor(href) {
+  const domain = getDomain();
+  const options = { domain, canonical: loadRules(domain).canonical };
+  const key = SRLC.normalizeUrl(href, options);
+  const redirect = key && SRLC.createRedirectResolver(loadRedirects(domain), options)(key);
+  return redirect && !redirect.loop ? redirect.key : key;
+}
 
-  body.classList.add('collapsed');
-  bar.classList.remove('hidden');
+// Grouping key of the link's current href (an edited one keeps its original group)
+function linkKey(link) {
+  return link.fix ? groupKeyFor(link.fix.to) || link.fix.to : link.normalizedHref;
 }
 
-function toggleInputSection() {
-  const body = document.getElementById('input-body');
-  const bar = document.getElementById('input-collapse-bar');
-  const toggle = bar.querySelector('.input-collapse-toggle');
+// Column values, used for sorting, filtering and display
+const LINK_COLUMNS = {
+  id: l => l.id,
+  anchor: linkAnchor,
+  href: linkHref,
+  normalized: l => linkKey(l),
+  type: l => l.isImageLink ? 'image' : l.isCtaLink ? 'CTA' : 'text',
+  heading: l => l.isInHeading ? 'yes' : 'no',
+  external: l => l.isExternal ? 'yes' : 'no',
+  parent: l => l.parentTag,
+  rel: l => l.rel,
+  status: l => l.keep ? 'keep' : 'strip'
+};
 
-  if (body.classList.contains('collapsed')) {
-    body.classList.remove('collapsed');
-    toggle.textContent = 'Hide';
-  } else {
-    body.classList.add('collapsed');
-    toggle.textContent = 'Show';
-  }
+function visibleLinks() {
+  const search = document.getElementById('links-search').value.trim().toLowerCase();
+  const filters = Array.from(document.querySelectorAll('#links-table [data-filter]'))
+    .map(input => [LINK_COLUMNS[input.dataset.filter], input.value.trim().toLowerCase()])
+    .filter(([, value]) => value);
+  const value = LINK_COLUMNS[linksView.sort];
+  return state.links
+    .filter(l => !search || [linkAnchor(l), linkHref(l), linkKey(l), l.context].some(text => text.toLowerCase().includes(search)))
+    .filter(l => filters.every(([column, filter]) => String(column(l)).toLowerCase().includes(filter)))
+    .sort((a, b) => {
+      const x = value(a), y = value(b);
+      const order = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+      return (order || a.id - b.id) * linksView.dir;
+    });
 }
 
-// ===== Event Handlers =====
-function handleAnalyze() {
-  const html = document.getElementById('html-input').value.trim();
-  if (!html) { showToast('Paste some HTML first'); return; }
+function renderLinksTable() {
+  if (!document.getElementById('links-tab').classList.contains('active')) return;
+  document.querySelectorAll('#links-table th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted-asc', th.dataset.sort === linksView.sort && linksView.dir === 1);
+    th.classList.toggle('sorted-desc', th.dataset.sort === linksView.sort && linksView.dir === -1);
+  });
 
-  state.originalHtml = html;
-  state.targetSelfCount = 0;
-  state.previewReady = false;
-  const result = analyzeHtml(html);
-  state.links = result.links;
-  state.groups = result.groups;
-  state.warnings = result.warnings;
-  state.stats = result.stats;
-  state.articleTitle = result.title;
+  const links = visibleLinks();
+  document.getElementById('links-count').textContent = links.length === state.links.length
+    ? `${links.length} link${links.length !== 1 ? 's' : ''}`
+    : `${links.length} of ${state.links.length} links`;
+  document.getElementById('links-body').innerHTML = links.map(l => {
+    const toggleable = !l.isImageLink && !l.isCtaLink;
+    const cells = l.id === linksView.editing
+      ? `<td><input class="links-edit-text" value="${escapeAttr(linkAnchor(l))}" onkeydown="handleLinkEditKey(event, ${l.id})"${l.isImageLink ? ' disabled title="Image links have no anchor text"' : ''}></td>
+        <td colspan="2"><input class="links-edit-href" value="${escapeAttr(linkHref(l))}" onkeydown="handleLinkEditKey(event, ${l.id})"></td>`
+      : `<td>${escapeHtml(linkAnchor(l))}${typeof l.textEdit === 'string' ? ` <span class="links-edited" title="Was: ${escapeAttr(l.anchorText)}">edited</span>` : ''}</td>
+        <td><code>${escapeHtml(linkHref(l))}</code>${l.fix ? ` <span class="links-edited" title="Was: ${escapeAttr(l.href)}">edited</span>` : ''}</td>
+        <td><code>${escapeHtml(linkKey(l))}</code></td>`;
+    const actions = l.id === linksView.editing
+      ? `<button class="btn btn-success btn-sm" onclick="saveLinkEdit(${l.id})">Save</button>
+        <button class="btn btn-secondary btn-sm" onclick="cancelLinkEdit()">Cancel</button>`
+      : `<button class="btn btn-secondary btn-sm" onclick="toggleLink(${l.id})"${toggleable ? '' : ' disabled title="Image and CTA links are always kept"'}>${l.keep ? 'Strip' : 'Keep'}</button>
+        <button class="btn btn-secondary btn-sm" onclick="showLinkInPreview(${l.id})">Show</button>
+        <button class="btn btn-secondary btn-sm" onclick="editLinkRow(${l.id})"${l.keep ? '' : ' disabled title="Keep the link to edit it"'}>Edit</button>`;
+    return `<tr class="${l.keep ? '' : 'links-stripped'}" data-id="${l.id}" title="${escapeAttr(l.context)}">
+      <td class="change-num">${SRLC.linkNumber(l)}</td>
+      ${cells}
+      <td>${LINK_COLUMNS.type(l)}</td>
+      <td>${LINK_COLUMNS.heading(l)}</td>
+      <td>${LINK_COLUMNS.external(l)}</td>
+      <td><code>${escapeHtml(l.parentTag)}</code></td>
+      <td>${l.rel ? `<code>${escapeHtml(l.rel)}</code>` : ''}</td>
+      <td class="links-status">${l.keep ? 'keep' : 'strip'}</td>
+      <td class="links-actions">${actions}</td>
+    </tr>`;
+  }).join('') || '<tr><td colspan="11" class="no-changes">No links match these filters.</td></tr>';
+}
 
-  applyAutoStrip();
+function sortLinks(column) {
+  linksView.dir = linksView.sort === column ? -linksView.dir : 1;
+  linksView.sort = column;
+  renderLinksTable();
+}
 
-  const removed = state.links.filter(l => !l.keep).length;
+function clearLinksFilters() {
+  document.getElementById('links-search').value = '';
+  document.querySelectorAll('#links-table [data-filter]').forEach(input => { input.value = ''; });
+  renderLinksTable();
+}
 
-  // Check if article is already clean (no redundant links to strip)
-  if (removed === 0) {
-    renderWarnings();
-    updateUI();
-    document.getElementById('main-content').classList.add('visible');
-    collapseInput();
-    showCleanArticleBanner();
-    showToast('\u2705 Article is clean — no redundant links!');
-    return;
-  }
+function showLinkInPreview(id) {
+  switchTab('preview');
+  focusPreviewLink(id, true);
+}
 
-  renderWarnings();
-  updateUI();
-  document.getElementById('main-content').classList.add('visible');
-  collapseInput();
-  hideCleanArticleBanner();
+function editLinkRow(id) {
+  linksView.editing = id;
+  renderLinksTable();
+  document.querySelector('#links-body .links-edit-text:not([disabled]), #links-body .links-edit-href').focus();
+}
 
-  showToast(`${state.stats.totalLinks} links, ${state.stats.uniqueUrls} unique URLs — ${removed} marked for removal`);
+function cancelLinkEdit() {
+  linksView.editing = null;
+  renderLinksTable();
 }
 
-function showCleanArticleBanner() {
-  let banner = document.getElementById('clean-banner');
-  if (!banner) {
-    banner = document.createElement('div');
-    banner.id = 'clean-banner';
-    const statsBar = document.getElementById('stats-bar');
-    statsBar.parentNode.insertBefore(banner, statsBar.nextSibling);
-  }
+function handleLinkEditKey(e, id) {
+  if (e.key === 'Enter') { e.preventDefault(); saveLinkEdit(id); }
+  if (e.key === 'Escape') cancelLinkEdit();
+}
+
+// Store the row's href and anchor text as the link's fix / textEdit; values
+// equal to the analyzed ones clear the edit
+function saveLinkEdit(id) {
+  const link = state.links.find(l => l.id === id);
+  const row = document.querySelector(`#links-body tr[data-id="${id}"]`);
+  const href = row.querySelector('.links-edit-href').value.trim();
+  const text = row.querySelector('.links-edit-text').value.replace(/\s+/g, ' ').trim();
+  if (!href) { showToast('A link needs an href'); return; }
+  if (!link.isImageLink && !text) { showToast('A link needs anchor text — strip it instead'); return; }
+
+  linksView.editing = null;
+  const repointed = href !== linkHref(link);
+  recordDecisions(`edit ${SRLC.linkNumber(link)}`, () => {
+    if (repointed) link.fix = href === link.href ? null : { to: href };
+    if (!link.isImageLink && text !== linkAnchor(link)) link.textEdit = text === link.anchorText ? null : text;
+  });
+  if (state.previewReady) {
+    updateUIPreservingPreview();
+  } else {
+    updateUI();
+  }
+  renderWarnings();
+  renderLinksTable();
+  // The link stays in the group it was analyzed in, so a URL it now shares
+  // with other kept links isn't flagged as redundant on its own
+  const key = repointed && link.keep && linkKey(link);
+  const sharing = key ? state.links.filter(l => l !== link && l.keep && linkKey(l) === key) : [];
+  if (sharing.length) {
+    showToast(`${SRLC.linkNumber(link)} now points where ${sharing.map(SRLC.linkNumber).join(', ')} already link${sharing.length === 1 ? 's' : ''} — strip one of them`);
+  }
+}
+
+// ===== Diff View =====
+// Compares the pasted HTML with the final clean output (including preview
+// text edits), so serialization side effects — re-quoted attributes, decoded
+// entities, whitespace — are visible alongside the intended unwraps.
+const DIFF_MODE_KEY = 'srlc-diff-mode';
+const HIGHLIGHT_TYPES = ['', 'tag', 'attr', 'value', 'entity', 'comment', 'template'];
+
+const diffView = { mode: localStorage.getItem(DIFF_MODE_KEY) || 'unified', hunk: 0, count: 0 };
+
+// Per-character syntax classes and line offsets for one side of the diff.
+// Markdown articles get no template protection, so no template highlighting.
+function prepareDiffSide(text) {
+  const classes = new Uint8Array(text.length);
+  SRLCDiff.highlightHtml(text, state.format === 'markdown' ? [] : undefined).forEach(span =>
+    classes.fill(HIGHLIGHT_TYPES.indexOf(span.type), span.start, span.end));
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+  return { classes, lineStarts };
+}
+
+function renderDiffCode(side, lineNo, row) {
+  const offset = side.lineStarts[lineNo - 1];
+  const text = row.text;
+  const changed = new Uint8Array(text.length);
+  (row.ranges || []).forEach(r => changed.fill(1, r.start, r.end));
+
+  let html = '';
+  let runStart = 0;
+  for (let i = 1; i <= text.length; i++) {
+    if (i < text.length && side.classes[offset + i] === side.classes[offset + runStart] && changed[i] === changed[runStart]) continue;
+    const type = HIGHLIGHT_TYPES[side.classes[offset + runStart]];
+    const cls = [type && `hl-${type}`, changed[runStart] && 'diff-word'].filter(Boolean).join(' ');
+    const chunk = escapeHtml(text.slice(runStart, i));
+    html += cls ? `<span class="${cls}">${chunk}</span>` : chunk;
+    runStart = i;
+  }
+  return html;
+}
+
+function renderUnifiedRows(hunk, oldSide, newSide) {
+  const signs = { equal: ' ', delete: '-', insert: '+' };
+  return hunk.rows.map(row => {
+    const code = row.type === 'insert'
+      ? renderDiffCode(newSide, row.newNo, row)
+      : renderDiffCode(oldSide, row.oldNo, row);
+    return `<tr class="diff-${row.type}">
+      <td class="diff-num">${row.oldNo || ''}</td><td class="diff-num">${row.newNo || ''}</td>
+      <td class="diff-sign">${signs[row.type]}</td><td class="diff-code">${code}</td>
+    </tr>`;
+  }).join('');
+}
+
+function renderSplitRows(hunk, oldSide, newSide) {
+  const cells = (row, side, lineNo) => row
+    ? `<td class="diff-num">${lineNo}</td><td class="diff-code diff-${row.type}">${renderDiffCode(side, lineNo, row)}</td>`
+    : '<td class="diff-num"></td><td class="diff-code diff-blank"></td>';
+  return SRLCDiff.toSideBySide(hunk.rows).map(({ left, right }) =>
+    `<tr>${cells(left, oldSide, left && left.oldNo)}${cells(right, newSide, right && right.newNo)}</tr>`
+  ).join('');
+}
+
+function renderDiff() {
+  const el = document.getElementById('diff-content');
+  const oldText = state.originalHtml;
+  const newText = document.getElementById('clean-output').value;
+  const { hunks, added, removed } = SRLCDiff.diffLines(oldText, newText);
+
+  diffView.count = hunks.length;
+  diffView.hunk = Math.min(diffView.hunk, Math.max(0, hunks.length - 1));
+  document.querySelectorAll('.diff-mode').forEach(btn =>
+    btn.classList.toggle('active', btn.dataset.mode === diffView.mode));
+  document.getElementById('diff-summary').textContent = hunks.length
+    ? `${hunks.length} changed region${hunks.length !== 1 ? 's' : ''} · −${removed} +${added} lines`
+    : '';
+  updateDiffPosition();
+
+  if (!hunks.length) {
+    el.innerHTML = '<div class="diff-empty">No differences — the clean HTML is byte-identical to the input.</div>';
+    return;
+  }
+
+  const oldSide = prepareDiffSide(oldText);
+  const newSide = prepareDiffSide(newText);
+  const renderRows = diffView.mode === 'split' ? renderSplitRows : renderUnifiedRows;
+  el.innerHTML = hunks.map((hunk, i) => `<div class="diff-hunk${i === diffView.hunk ? ' current' : ''}" id="diff-hunk-${i}">
+    <div class="diff-hunk-header" onclick="goToDiffHunk(${i})">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</div>
+    <table class="diff-table diff-${diffView.mode}">${renderRows(hunk, oldSide, newSide)}</table>
+  </div>`).join('');
+}
+
+function updateDiffPosition() {
+  document.getElementById('diff-position').textContent = diffView.count
+    ? `${diffView.hunk + 1} / ${diffView.count}`
+    : '0 / 0';
+}
+
+function setDiffMode(mode) {
+  diffView.mode = mode;
+  localStorage.setItem(DIFF_MODE_KEY, mode);
+  renderDiff();
+  goToDiffHunk(diffView.hunk);
+}
+
+function goToDiffHunk(index) {
+  if (!diffView.count) return;
+  diffView.hunk = (index + diffView.count) % diffView.count;
+  document.querySelectorAll('.diff-hunk').forEach((h, i) => h.classList.toggle('current', i === diffView.hunk));
+  updateDiffPosition();
+  const el = document.getElementById('diff-content');
+  el.scrollTop = document.getElementById(`diff-hunk-${diffView.hunk}`).offsetTop - 12;
+}
+
+function stepDiffHunk(delta) {
+  goToDiffHunk(diffView.hunk + delta);
+}
+
+// ===== UI Update Functions =====
+function updateUI(savedPreviewBody) {
+  renderStats();
+  renderPreview(savedPreviewBody);
+  renderCleanOutput();
+  renderChanges();
+  renderLinksTable();
+  renderBatchQueue();
+  renderHistoryButtons();
+  scheduleSessionSave();
+}
+
+function sendBulkUpdateToPreview() {
+  const frame = document.getElementById('preview-frame');
+  if (!frame.contentWindow) return;
+  const updates = state.links
+    .filter(l => !l.isImageLink && !l.isCtaLink)
+    .map(l => ({ id: l.id, keep: l.keep, title: linkTitle(l) }));
+  frame.contentWindow.postMessage({ type: 'srlc-update-all', updates }, '*');
+  const missing = state.links.filter(l => l.notInSitemap && !l.fix).map(l => l.id);
+  frame.contentWindow.postMessage({ type: 'srlc-missing', ids: missing }, '*');
+  syncPreviewAnchorTexts();
+  sendHeatmapToPreview();
+}
+
+// ===== Density Heatmap =====
+// Paragraphs, lists and tables are shaded and sections get a bar in the
+// margin, by how close their link count (or rate) is to its threshold.
+let heatmapOn = false;
+
+function densityHeat(article) {
+  return SRLC.checkLinkDensity(article.density, loadRules(getDomain()).density).heat
+    .map(h => h >= 1.5 ? 3 : h >= 1 ? 2 : h >= 0.75 ? 1 : 0);
+}
+
+function sendHeatmapToPreview() {
+  const frame = document.getElementById('preview-frame');
+  if (!frame.contentWindow) return;
+  frame.contentWindow.postMessage({ type: 'srlc-heat', on: heatmapOn, levels: densityHeat(state) }, '*');
+}
+
+function toggleHeatmap() {
+  heatmapOn = !heatmapOn;
+  document.getElementById('heatmap-btn').setAttribute('aria-pressed', heatmapOn);
+  sendHeatmapToPreview();
+}
+
+function updateUIPreservingPreview() {
+  sendBulkUpdateToPreview();
+  refreshReview();
+  renderStats();
+  renderCleanOutput();
+  renderChanges();
+  renderLinksTable();
+  renderBatchQueue();
+  scheduleSessionSave();
+}
+
+// ===== Review Mode =====
+// Steps through the URLs linked more than once, one group at a time, from the
+// keyboard. The active occurrence is scrolled into view and ringed in the
+// preview; the side panel lists every occurrence with its context.
+const review = { active: false, group: 0, occurrence: 0 };
+
+function reviewGroups(article = state) {
+  return Object.values(article.groups).filter(g => g.links.length > 1);
+}
+
+function isGroupReviewed(group) {
+  return state.reviewedGroups.includes(group.normalizedHref);
+}
+
+// First unreviewed group after `from`, wrapping around; -1 when all are done
+function nextUnreviewedGroup(groups, from) {
+  for (let step = 1; step <= groups.length; step++) {
+    const i = (from + step) % groups.length;
+    if (!isGroupReviewed(groups[i])) return i;
+  }
+  return -1;
+}
+
+function resetReview() {
+  const groups = reviewGroups();
+  review.group = Math.max(0, nextUnreviewedGroup(groups, groups.length - 1));
+  review.occurrence = 0;
+}
+
+function startReview() {
+  if (!reviewGroups().length) { showToast('No URL is linked more than once'); return; }
+  review.active = true;
+  resetReview();
+  switchTab('preview');
+  document.getElementById('review-panel').classList.remove('hidden');
+  document.getElementById('review-btn').setAttribute('aria-pressed', true);
+  // Keep keystrokes out of the editable preview
+  document.getElementById('review-panel').focus();
+  showReviewStep();
+}
+
+function exitReview() {
+  review.active = false;
+  document.getElementById('review-panel').classList.add('hidden');
+  document.getElementById('review-btn').setAttribute('aria-pressed', false);
+  focusPreviewLink(null);
+}
+
+function toggleReview() {
+  if (review.active) exitReview();
+  else startReview();
+}
+
+function currentReviewLink() {
+  const group = reviewGroups()[review.group];
+  return group ? group.links[review.occurrence] : null;
+}
+
+function showReviewStep() {
+  renderReviewPanel();
+  const link = currentReviewLink();
+  if (link) focusPreviewLink(link.id, true);
+}
+
+// Re-ring the active link after the preview reloaded or was restored. Edits
+// in the preview can add or drop groups and occurrences, so the position is
+// clamped first.
+function refreshReview() {
+  if (!review.active) return;
+  const groups = reviewGroups();
+  review.group = Math.min(review.group, Math.max(0, groups.length - 1));
+  const group = groups[review.group];
+  review.occurrence = group ? Math.min(review.occurrence, group.links.length - 1) : 0;
+  renderReviewPanel();
+  const link = currentReviewLink();
+  focusPreviewLink(link ? link.id : null);
+}
+
+function stepReviewGroup(delta) {
+  const groups = reviewGroups();
+  if (!groups.length) return;
+  review.group = (review.group + delta + groups.length) % groups.length;
+  review.occurrence = 0;
+  showReviewStep();
+}
+
+function stepReviewOccurrence(delta) {
+  const group = reviewGroups()[review.group];
+  if (!group) return;
+  review.occurrence = (review.occurrence + delta + group.links.length) % group.links.length;
+  showReviewStep();
+}
+
+function selectReviewOccurrence(index) {
+  review.occurrence = index;
+  showReviewStep();
+}
+
+function toggleReviewLink() {
+  const link = currentReviewLink();
+  if (!link) return;
+  if (link.isImageLink || link.isCtaLink) { showToast('Image and CTA links are always kept'); return; }
+  toggleLink(link.id);
+}
+
+// Accept the group's current decisions and move on to the next unreviewed group
+function acceptReviewGroup() {
+  const groups = reviewGroups();
+  const group = groups[review.group];
+  if (!group) return;
+  if (!isGroupReviewed(group)) state.reviewedGroups.push(group.normalizedHref);
+  const next = nextUnreviewedGroup(groups, review.group);
+  if (next < 0) {
+    showToast(`All ${groups.length} duplicate groups reviewed`);
+  } else {
+    review.group = next;
+    review.occurrence = 0;
+  }
+  showReviewStep();
+  scheduleSessionSave();
+}
+
+// Scroll the preview to a link and ring it; null clears the ring
+function focusPreviewLink(id, scroll) {
+  const frame = document.getElementById('preview-frame');
+  if (!state.previewReady || !frame.contentWindow) return;
+  frame.contentWindow.postMessage({ type: 'srlc-focus', id }, '*');
+  const a = scroll && frame.contentDocument.querySelector(`a[data-link-id="${id}"], a[data-srlc-protected="${id}"]`);
+  if (!a) return;
+  const top = a.getBoundingClientRect().top + frame.contentWindow.scrollY;
+  frame.contentWindow.postMessage({ type: 'srlc-scroll', scrollY: Math.max(0, top - frame.clientHeight / 3) }, '*');
+}
+
+function handleReviewKey(e) {
+  switch (e.key) {
+    case 'j': case 'ArrowDown': stepReviewGroup(1); break;
+    case 'k': case 'ArrowUp': stepReviewGroup(-1); break;
+    case 'n': stepReviewOccurrence(1); break;
+    case 'N': stepReviewOccurrence(-1); break;
+    case ' ': toggleReviewLink(); break;
+    case 'a': acceptReviewGroup(); break;
+    case 'Escape': exitReview(); break;
+    default: return false;
+  }
+  return true;
+}
+
+function renderReviewPanel() {
+  if (!review.active) return;
+  const groups = reviewGroups();
+  const reviewed = groups.filter(isGroupReviewed).length;
+  document.getElementById('review-progress').textContent = `${reviewed}/${groups.length} groups reviewed`;
+  document.getElementById('review-progress-bar').style.width = `${groups.length ? reviewed / groups.length * 100 : 0}%`;
+
+  const el = document.getElementById('review-list');
+  const group = groups[review.group];
+  if (!group) {
+    el.innerHTML = '<div class="no-changes">No URL is linked more than once in this article.</div>';
+    return;
+  }
+  const kept = group.links.filter(l => l.keep).length;
+  let html = `<div class="review-group">
+    <div class="review-group-position">Group ${review.group + 1} of ${groups.length}${isGroupReviewed(group) ? ' · <span class="review-done">reviewed</span>' : ''}</div>
+    <div class="review-url">${escapeHtml(group.normalizedHref)}</div>
+    <div class="batch-item-stats">${group.links.length} links · ${kept} keeping · <span class="batch-item-removing">${group.links.length - kept} removing</span></div>
+    ${renderVariants(group)}
+  </div>`;
+  html += group.links.map((l, i) => `<div class="change-item review-item${l.keep ? ' change-item-kept' : ''}${i === review.occurrence ? ' active' : ''}" onclick="selectReviewOccurrence(${i})">
+      <span class="change-num">${SRLC.linkNumber(l)}</span>
+      ${l.keep ? 'keep' : 'strip'} <strong>${escapeHtml(l.anchorText)}</strong>
+      ${renderReason(l)}
+      <div class="change-context">${escapeHtml(l.context)}</div>
+    </div>`).join('');
+  el.innerHTML = html;
+}
+
+// ===== Auto-Strip Rules =====
+// Rule sets are saved per site domain in localStorage; the empty domain holds
+// the rules used when no domain is entered (or none was saved for it).
+const RULES_STORAGE_KEY = 'srlc-rules';
+
+function readSavedRules() {
+  try {
+    return JSON.parse(localStorage.getItem(RULES_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function loadRules(domain) {
+  const saved = readSavedRules();
+  const key = (domain || '').toLowerCase();
+  return SRLC.normalizeRules(saved[key] || saved[''] || null);
+}
+
+function saveRules(domain, rules) {
+  const saved = readSavedRules();
+  const key = (domain || '').toLowerCase();
+  if (rules) saved[key] = rules; else delete saved[key];
+  try {
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    showToast('Could not save rules (storage unavailable)');
+  }
+}
+
+// Redirect maps are stored per domain as the raw CSV/JSON text the user gave
+const REDIRECTS_STORAGE_KEY = 'srlc-redirects';
+
+function readSavedRedirects() {
+  try {
+    return JSON.parse(localStorage.getItem(REDIRECTS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function loadRedirectText(domain) {
+  return readSavedRedirects()[(domain || '').toLowerCase()] || '';
+}
+
+function loadRedirects(domain) {
+  try {
+    return SRLC.parseRedirectMap(loadRedirectText(domain));
+  } catch {
+    return [];
+  }
+}
+
+function saveRedirectText(domain, text) {
+  const saved = readSavedRedirects();
+  const key = (domain || '').toLowerCase();
+  if (text.trim()) saved[key] = text; else delete saved[key];
+  try {
+    localStorage.setItem(REDIRECTS_STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    showToast('Could not save redirects (storage unavailable)');
+  }
+}
+
+function updateRedirectStatus() {
+  const status = document.getElementById('redirects-status');
+  try {
+    const count = SRLC.parseRedirectMap(document.getElementById('redirects-input').value).length;
+    status.textContent = `${count} redirect${count !== 1 ? 's' : ''}`;
+  } catch (err) {
+    status.textContent = `Invalid JSON: ${err.message}`;
+  }
+}
+
+function handleRedirectFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  file.text().then(text => {
+    document.getElementById('redirects-input').value = text;
+    updateRedirectStatus();
+  });
+  e.target.value = '';
+}
+
+// Sitemaps are stored per domain as the raw XML or URL list the user gave
+const SITEMAPS_STORAGE_KEY = 'srlc-sitemaps';
+
+function readSavedSitemaps() {
+  try {
+    return JSON.parse(localStorage.getItem(SITEMAPS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function loadSitemapText(domain) {
+  return readSavedSitemaps()[(domain || '').toLowerCase()] || '';
+}
+
+function loadSitemap(domain) {
+  try {
+    return SRLC.parseSitemap(loadSitemapText(domain));
+  } catch {
+    return [];
+  }
+}
+
+function saveSitemapText(domain, text) {
+  const saved = readSavedSitemaps();
+  const key = (domain || '').toLowerCase();
+  if (text.trim()) saved[key] = text; else delete saved[key];
+  try {
+    localStorage.setItem(SITEMAPS_STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    showToast('Could not save sitemap (storage unavailable)');
+  }
+}
+
+function updateSitemapStatus() {
+  const status = document.getElementById('sitemap-status');
+  try {
+    const count = SRLC.parseSitemap(document.getElementById('sitemap-input').value).length;
+    status.textContent = count ? `${count} page${count !== 1 ? 's' : ''}` : 'No sitemap — links aren\'t checked';
+  } catch (err) {
+    status.textContent = `Invalid sitemap: ${err.message}`;
+  }
+}
+
+function handleSitemapFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  file.text().then(text => {
+    document.getElementById('sitemap-input').value = text;
+    updateSitemapStatus();
+  });
+  e.target.value = '';
+}
+
+function fillRulesForm(rules) {
+  document.getElementById('rule-max-per-url').value = rules.maxPerUrl;
+  document.getElementById('rule-per-words').value = rules.perWords;
+  document.getElementById('rule-prefer').value = rules.prefer;
+  document.getElementById('rule-keep-two').checked = rules.keepTwoDifferentAnchors;
+  document.getElementById('rule-strip-headings').checked = rules.stripInHeadings;
+  document.getElementById('rule-never-strip').value = rules.neverStripIn.join(', ');
+  document.getElementById('rule-section-budget').value = rules.sectionBudget;
+  Object.keys(SRLC.DEFAULT_DENSITY).forEach(key => {
+    document.getElementById(`density-${key}`).value = rules.density[key];
+  });
+  document.getElementById('url-host-aware').checked = rules.canonical.hostAware;
+  document.getElementById('url-sort-params').checked = rules.canonical.sortParams;
+  document.getElementById('url-fold-index').checked = rules.canonical.foldIndex;
+  document.getElementById('url-ignore-fragment').checked = rules.canonical.ignoreFragment;
+  document.getElementById('url-ignore-params').value = rules.canonical.ignoreParams.join(', ');
+  document.getElementById('rule-rewrite-redirects').checked = rules.rewriteRedirects;
+  document.getElementById('rule-lossless').checked = rules.lossless;
+  document.getElementById('anchor-generic').value = rules.anchors.genericPhrases.join(', ');
+  document.getElementById('anchor-max-repeats').value = rules.anchors.maxRepeats;
+  document.getElementById('anchor-max-words').value = rules.anchors.maxWords;
+  document.getElementById('anchor-ambiguous').checked = rules.anchors.flagAmbiguous;
+  document.getElementById('rel-sponsored').value = rules.rel.sponsoredDomains.join(', ');
+  document.getElementById('rel-nofollow').value = rules.rel.nofollowDomains.join(', ');
+  document.getElementById('rel-blank-noopener').checked = rules.rel.blankNoopener;
+  document.getElementById('rel-strip-internal').checked = rules.rel.stripInternalNofollow;
+  document.getElementById('rel-normalize').checked = rules.rel.normalizeRel;
+  Object.keys(SRLC.ATTRIBUTE_RULES).forEach(id => {
+    document.getElementById(`attr-${id}`).checked = rules.attributes[id];
+  });
+  document.getElementById('redirects-input').value = loadRedirectText(getDomain());
+  updateRedirectStatus();
+  document.getElementById('sitemap-input').value = loadSitemapText(getDomain());
+  updateSitemapStatus();
+  const domain = getDomain();
+  document.getElementById('rules-scope').textContent = domain ? `Rules for ${domain}` : 'Default rules (no domain set)';
+}
+
+function readRulesForm() {
+  return SRLC.normalizeRules({
+    maxPerUrl: document.getElementById('rule-max-per-url').value,
+    perWords: document.getElementById('rule-per-words').value,
+    prefer: document.getElementById('rule-prefer').value,
+    keepTwoDifferentAnchors: document.getElementById('rule-keep-two').checked,
+    stripInHeadings: document.getElementById('rule-strip-headings').checked,
+    neverStripIn: document.getElementById('rule-never-strip').value,
+    sectionBudget: document.getElementById('rule-section-budget').value,
+    rewriteRedirects: document.getElementById('rule-rewrite-redirects').checked,
+    lossless: document.getElementById('rule-lossless').checked,
+    canonical: {
+      hostAware: document.getElementById('url-host-aware').checked,
+      sortParams: document.getElementById('url-sort-params').checked,
+      foldIndex: document.getElementById('url-fold-index').checked,
+      ignoreFragment: document.getElementById('url-ignore-fragment').checked,
+      ignoreParams: document.getElementById('url-ignore-params').value
+    },
+    density: Object.fromEntries(Object.keys(SRLC.DEFAULT_DENSITY).map(key =>
+      [key, document.getElementById(`density-${key}`).value])),
+    anchors: {
+      genericPhrases: document.getElementById('anchor-generic').value,
+      maxRepeats: document.getElementById('anchor-max-repeats').value,
+      maxWords: document.getElementById('anchor-max-words').value,
+      flagAmbiguous: document.getElementById('anchor-ambiguous').checked
+    },
+    rel: {
+      sponsoredDomains: document.getElementById('rel-sponsored').value,
+      nofollowDomains: document.getElementById('rel-nofollow').value,
+      blankNoopener: document.getElementById('rel-blank-noopener').checked,
+      stripInternalNofollow: document.getElementById('rel-strip-internal').checked,
+      normalizeRel: document.getElementById('rel-normalize').checked
+    },
+    attributes: Object.fromEntries(Object.keys(SRLC.ATTRIBUTE_RULES).map(id =>
+      [id, document.getElementById(`attr-${id}`).checked]))
+  });
+}
+
+function toggleRulesPanel() {
+  const panel = document.getElementById('rules-panel');
+  if (panel.classList.contains('hidden')) fillRulesForm(loadRules(getDomain()));
+  panel.classList.toggle('hidden');
+}
+
+function handleDomainChange() {
+  if (!document.getElementById('rules-panel').classList.contains('hidden')) {
+    fillRulesForm(loadRules(getDomain()));
+  }
+}
+
+// Anchor checks only read the links, so new thresholds are applied to the
+// existing analysis instead of re-running it
+function refreshAnchorWarnings(article, anchors) {
+  const warnings = SRLC.checkAnchorText(article.links, anchors);
+  article.warnings = article.warnings.filter(w => !w.type.startsWith('anchor-')).concat(warnings);
+  article.stats.anchorIssues = warnings.length;
+}
+
+// Density thresholds only rescore the regions measured at analysis time
+function refreshDensityWarnings(article, density) {
+  const { warnings } = SRLC.checkLinkDensity(article.density, density);
+  article.warnings = article.warnings.filter(w => w.type !== 'density').concat(warnings);
+  article.stats.denseRegions = warnings.length;
+}
+
+// Rule settings auto-strip decides by; changing any other setting leaves
+// the article's keep/strip decisions, manual ones included, alone
+const STRIP_RULES = ['maxPerUrl', 'perWords', 'prefer', 'keepTwoDifferentAnchors', 'stripInHeadings', 'neverStripIn', 'sectionBudget'];
+
+// URL matching changes regroup the links (see regroupArticle); strip rule
+// changes only need auto-strip re-applied, and output settings (redirects,
+// rel, attributes, lossless) only a fresh clean output.
+function reapplyRules(before, after, regroup) {
+  if (!state.originalHtml) return;
+  if (regroup || JSON.stringify(before.canonical) !== JSON.stringify(after.canonical)) {
+    regroupArticles();
+    return;
+  }
+  if (JSON.stringify(before.anchors) !== JSON.stringify(after.anchors)) {
+    batch.items.forEach(item => { if (item.state !== state) refreshAnchorWarnings(item.state, after.anchors); });
+    refreshAnchorWarnings(state, after.anchors);
+    renderWarnings();
+  }
+  if (JSON.stringify(before.density) !== JSON.stringify(after.density)) {
+    batch.items.forEach(item => { if (item.state !== state) refreshDensityWarnings(item.state, after.density); });
+    refreshDensityWarnings(state, after.density);
+    renderWarnings();
+  }
+  if (STRIP_RULES.some(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))) {
+    handleAutoStrip();
+  } else if (state.previewReady) {
+    updateUIPreservingPreview();
+  } else {
+    updateUI();
+  }
+}
+
+// Group an article's links afresh under the current URL matching, redirects
+// and sitemap. Manual decisions, link fixes and text edits carry over by link
+// id (links added in the preview get theirs back once it is reconciled);
+// every other link is decided by auto-strip under the new grouping.
+function regroupArticle(article) {
+  const fresh = analyzeArticle(article.originalHtml, article.format, article.page ? article.page.root : '');
+  const decisions = article.links.concat(article.deletedLinks)
+    .map(l => ({ id: l.id, keep: l.keep, reason: l.reason, fix: l.fix, textEdit: l.textEdit }))
+    .concat(article.pendingDecisions);
+  const byId = new Map(decisions.map(d => [d.id, d]));
+  fresh.pendingDecisions = decisions.filter(d => !fresh.links.some(l => l.id === d.id));
+  fresh.links.forEach(link => {
+    const saved = byId.get(link.id);
+    if (!saved) return;
+    if (saved.reason && saved.reason.rule === 'manual') applySavedDecision(link, saved);
+    link.fix = saved.fix || null;
+    link.textEdit = typeof saved.textEdit === 'string' ? saved.textEdit : null;
+  });
+  ['placeholders', 'previewReady', 'previewSnapshot', 'reviewedGroups', 'history'].forEach(key => { fresh[key] = article[key]; });
+  return fresh;
+}
+
+// Queued articles keep their saved preview bodies; the live preview stays as
+// it is: its anchors are matched to the regrouped links by id and restyled
+// with their new decisions
+function regroupArticles() {
+  batch.items.forEach(item => { if (item.state !== state) item.state = regroupArticle(item.state); });
+  state = regroupArticle(state);
+  if (batch.items[batch.current]) batch.items[batch.current].state = state;
+  if (state.previewReady) {
+    reconcilePreviewLinks();
+    updateUIPreservingPreview();
+  } else {
+    updateUI();
+  }
+  renderWarnings();
+}
+
+function handleSaveRules() {
+  const domain = getDomain();
+  const redirectText = document.getElementById('redirects-input').value;
+  try {
+    SRLC.parseRedirectMap(redirectText);
+  } catch (err) {
+    showToast(`Redirect map is not valid JSON: ${err.message}`);
+    return;
+  }
+  const sitemapText = document.getElementById('sitemap-input').value;
+  try {
+    SRLC.parseSitemap(sitemapText);
+  } catch (err) {
+    showToast(`Sitemap not saved: ${err.message}`);
+    return;
+  }
+  const redirectsChanged = redirectText !== loadRedirectText(domain);
+  const sitemapChanged = sitemapText !== loadSitemapText(domain);
+  const before = loadRules(domain);
+  saveRules(domain, readRulesForm());
+  saveRedirectText(domain, redirectText);
+  saveSitemapText(domain, sitemapText);
+  const after = loadRules(domain);
+  fillRulesForm(after);
+  reapplyRules(before, after, redirectsChanged || sitemapChanged);
+  showToast(domain ? `Rules saved for ${domain}` : 'Default rules saved');
+}
+
+function handleResetRules() {
+  const domain = getDomain();
+  const before = loadRules(domain);
+  saveRules(domain, null);
+  const after = loadRules(domain);
+  fillRulesForm(after);
+  reapplyRules(before, after);
+  showToast('Rules reset');
+}
+
+// ===== Batch Mode =====
+// A queue of articles analyzed with the same domain and rules. Each item keeps
+// its own article state plus the edited preview body, so switching back and
+// forth preserves toggles and text edits. Files that couldn't be read or
+// analyzed are listed in `failed` with their error and skipped.
+let batch = { items: [], failed: [], current: -1 };
+
+const ARTICLE_FILE = /\.(?:html?|mdx?)$/i;
+const MARKDOWN_FILE = /\.mdx?$/i;
+
+function isHiddenPath(name) {
+  return name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+// Expand picked/dropped files (and any ZIPs among them) into { name, html }
+// articles; a file that can't be read becomes { name, error }
+async function readArticleFiles(files) {
+  const articles = [];
+  for (const { name, file } of files) {
+    if (isHiddenPath(name)) continue;
+    try {
+      if (/\.zip$/i.test(name)) {
+        const entries = await SRLCZip.readZip(await file.arrayBuffer());
+        const decoder = new TextDecoder();
+        entries
+          .filter(entry => ARTICLE_FILE.test(entry.name) && !isHiddenPath(entry.name))
+          .forEach(entry => articles.push({ name: entry.name, html: decoder.decode(entry.data) }));
+      } else if (ARTICLE_FILE.test(name)) {
+        articles.push({ name, html: await file.text() });
+      }
+    } catch (err) {
+      articles.push({ name, error: err.message });
+    }
+  }
+  return articles.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+// Walk dropped folders (DataTransferItem → FileSystemEntry) into { name, file } pairs
+async function collectDroppedFiles(dataTransfer) {
+  const files = [];
+  const readEntry = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.push({ name: entry.fullPath.replace(/^\//, ''), file });
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      let batchEntries;
+      do {
+        batchEntries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batchEntries) await readEntry(child);
+      } while (batchEntries.length > 0);
+    }
+  };
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+    .filter(Boolean);
+  if (entries.length) {
+    for (const entry of entries) await readEntry(entry);
+  } else {
+    Array.from(dataTransfer.files).forEach(file => files.push({ name: file.name, file }));
+  }
+  return files;
+}
+
+async function loadBatch(files) {
+  let articles;
+  try {
+    articles = await readArticleFiles(files);
+  } catch (err) {
+    showToast(`Could not read files: ${err.message}`);
+    return;
+  }
+  if (!articles.length) { showToast('No .html or .md files found'); return; }
+
+  const items = [];
+  const failed = [];
+  for (const { name, html, error } of articles) {
+    if (error) { failed.push({ name, error }); continue; }
+    try {
+      items.push({ name, state: analyzeArticle(html, MARKDOWN_FILE.test(name) ? 'markdown' : 'html'), previewBody: null, reviewed: false });
+    } catch (err) {
+      failed.push({ name, error: err.message });
+    }
+  }
+  if (!items.length) {
+    showToast(`None of the files could be loaded — ${failed[0].name}: ${failed[0].error}`);
+    return;
+  }
+
+  saveSessionNow();
+  clearBatch();
+  sessionId = createSessionId();
+  batch.items = items;
+  batch.failed = failed;
+  openBatchItem(0);
+  showToast(`${items.length} article${items.length !== 1 ? 's' : ''} queued${failed.length ? `, ${failed.length} failed` : ''}`);
+}
+
+function handleBatchFiles(e) {
+  const files = Array.from(e.target.files).map(file => ({ name: file.webkitRelativePath || file.name, file }));
+  e.target.value = '';
+  loadBatch(files);
+}
+
+function handleBatchDrop(e) {
+  e.preventDefault();
+  document.getElementById('input-section').classList.remove('drag-over');
+  collectDroppedFiles(e.dataTransfer).then(loadBatch);
+}
+
+function clearBatch() {
+  batch = { items: [], failed: [], current: -1 };
+  renderBatchQueue();
+}
+
+// Store the current article's decisions and preview edits back into its queue item
+function saveBatchItem() {
+  const item = batch.items[batch.current];
+  if (!item) return;
+  item.state = state;
+  item.previewBody = capturePreviewBody() || item.previewBody;
+}
+
+function openBatchItem(index) {
+  if (index < 0 || index >= batch.items.length) return;
+  saveBatchItem();
+  batch.current = index;
+  const item = batch.items[index];
+  item.reviewed = true;
+  state = item.state;
+  state.previewReady = false;
+  document.getElementById('html-input').value = state.originalHtml;
+  showArticle(item.previewBody);
+}
+
+function stepBatch(delta) {
+  openBatchItem(batch.current + delta);
+}
+
+function renderBatchQueue() {
+  const panel = document.getElementById('batch-panel');
+  const siteTab = document.querySelector('.tab[data-tab="site"]');
+  siteTab.classList.toggle('hidden', !batch.items.length);
+  if (!batch.items.length) {
+    panel.classList.add('hidden');
+    if (siteTab.classList.contains('active')) switchTab('preview');
+    return;
+  }
+  panel.classList.remove('hidden');
+  if (siteTab.classList.contains('active')) renderSiteReport();
+
+  const reviewed = batch.items.filter(item => item.reviewed).length;
+  document.getElementById('batch-progress').textContent = `${reviewed}/${batch.items.length} reviewed`;
+  document.getElementById('batch-list').innerHTML = batch.items.map((item, i) => {
+    const article = i === batch.current ? state : item.state;
+    const s = article.stats;
+    const removing = article.links.filter(l => !l.keep).length;
+    return `<div class="batch-item${i === batch.current ? ' active' : ''}${item.reviewed ? ' reviewed' : ''}" onclick="openBatchItem(${i})" title="${escapeAttr(item.name)}">
+      <div class="batch-item-name">${escapeHtml(item.name)}</div>
+      <div class="batch-item-stats">${s.totalLinks} total · ${s.uniqueUrls} unique · <span class="batch-item-removing">${removing} removing</span></div>
+    </div>`;
+  }).join('') + batch.failed.map(item =>
+    `<div class="batch-item failed" title="${escapeAttr(`${item.name}\n${item.error}`)}">
+      <div class="batch-item-name">${escapeHtml(item.name)}</div>
+      <div class="batch-item-stats">Failed: ${escapeHtml(item.error)}</div>
+    </div>`
+  ).join('');
+}
+
+function handleDownloadBatch() {
+  if (!batch.items.length) return;
+  saveBatchItem();
+  renderCleanOutput(); // Refresh to capture any text edits from preview
+  const files = batch.items.map((item, i) => ({
+    name: item.name,
+    data: i === batch.current ? document.getElementById('clean-output').value : cleanHtmlForBatchItem(item)
+  }));
+  const blob = new Blob([SRLCZip.createZip(files)], { type: 'application/zip' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'cleaned-articles.zip';
+  a.click();
+  URL.revokeObjectURL(a.href);
+  showToast(`Downloaded ${files.length} cleaned article${files.length !== 1 ? 's' : ''}`);
+}
+
+// Clean HTML for a queue item that isn't on screen: from its edited preview
+// body if it was opened, otherwise straight from its link decisions
+function cleanHtmlForBatchItem(item) {
+  if (!item.previewBody) return generateCleanHtml(item.state);
+  const body = document.createElement('body');
+  body.innerHTML = item.previewBody;
+  return cleanHtmlFromPreviewBody(body, item.state);
+}
+
+// ===== Site Report =====
+// Internal link targets across every queued article: how many articles link
+// to each URL, how often, with which anchors — plus pages nobody links to.
+function buildSiteReport() {
+  const domain = getDomain();
+  const articles = batch.items.map((item, i) => ({
+    name: item.name,
+    links: (i === batch.current ? state : item.state).links
+  }));
+  return SRLC.buildSiteReport(articles, {
+    pages: SRLC.parseUrlList(document.getElementById('site-pages').value),
+    domain,
+    canonical: loadRules(domain).canonical
+  });
+}
+
+function renderSiteReport() {
+  const el = document.getElementById('site-content');
+  const report = buildSiteReport();
+  document.getElementById('site-summary').textContent =
+    `${report.targets.length} linked URL${report.targets.length !== 1 ? 's' : ''} across ${report.articleCount} article${report.articleCount !== 1 ? 's' : ''}`
+    + (report.pageCount ? ` · ${report.orphans.length} of ${report.pageCount} listed pages orphaned` : '');
+
+  if (!report.targets.length && !report.orphans.length) {
+    el.innerHTML = '<div class="no-changes">No internal links in the queued articles.</div>';
+    return;
+  }
+
+  const rows = report.targets.map(t => {
+    const share = Math.round(100 * t.articles / report.articleCount);
+    const anchors = t.anchors.slice(0, 3).map(a =>
+      `<span class="site-anchor">${escapeHtml(a.text)} <span class="site-anchor-count">&times;${a.count}</span></span>`).join('');
+    const more = t.anchors.length > 3 ? `<span class="site-more">+${t.anchors.length - 3} more</span>` : '';
+    return `<tr>
+      <td class="site-url"><code>${escapeHtml(t.url)}</code></td>
+      <td class="site-num" title="${escapeAttr(t.linkedFrom.join('\n'))}">
+        ${t.articles}<div class="site-bar"><div style="width:${share}%"></div></div>
+      </td>
+      <td class="site-num">${t.totalLinks}</td>
+      <td class="site-num">${t.keptLinks}</td>
+      <td>${anchors}${more}</td>
+    </tr>`;
+  }).join('');
+
+  let html = report.targets.length ? `<table class="site-table">
+    <thead><tr><th>URL</th><th title="Articles linking to it (hover for the list)">Articles</th><th>Links</th><th>Kept</th><th>Anchor text</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>` : '';
+
+  if (report.orphans.length) {
+    html += `<div class="changes-section">
+      <div class="changes-url-header">
+        Orphan pages
+        <span class="changes-url-count">${report.orphans.length} not linked from any article</span>
+      </div>
+      ${report.orphans.map(url => `<div class="change-item change-item-attr"><code>${escapeHtml(url)}</code></div>`).join('')}
+    </div>`;
+  }
+  el.innerHTML = html;
+}
+
+function handleSitePagesFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  file.text().then(text => {
+    document.getElementById('site-pages').value = text;
+    renderSiteReport();
+    showToast(`${SRLC.parseUrlList(text).length} site URLs loaded`);
+  });
+}
+
+function handleExportSiteReport(type) {
+  if (!batch.items.length) return;
+  const report = buildSiteReport();
+  const blob = type === 'json'
+    ? new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' })
+    : new Blob([SRLC.siteReportToCsv(report)], { type: 'text/csv' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `site-link-report.${type}`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+  showToast('Site report exported');
+}
+
+// ===== Audit Report =====
+// Evidence of what the clean-up changed in the current article — stats,
+// warnings, URL groups, every decision and the attribute changes — as JSON,
+// CSV or a self-contained page that prints cleanly.
+const AUDIT_FORMATS = {
+  json: { type: 'application/json', render: report => JSON.stringify(report, null, 2) },
+  csv: { type: 'text/csv', render: report => SRLC.auditReportToCsv(report) },
+  html: { type: 'text/html', render: report => SRLC.auditReportToHtml(report) }
+};
+
+// Uses the change lists of the last renderCleanOutput()
+function buildAuditReport() {
+  const article = { title: state.articleTitle, links: state.links, groups: state.groups, warnings: state.warnings, stats: state.stats };
+  return SRLC.buildAuditReport(article, {
+    domain: getDomain(),
+    format: state.format,
+    attributeCleanup: state.attributeCleanup,
+    linkFixes: state.linkFixes,
+    textEdits: state.textEdits,
+    redirectRewrites: state.redirectRewrites,
+    relChanges: state.relChanges
+  });
+}
+
+function handleExportAuditReport(type) {
+  if (!state.originalHtml) return;
+  renderCleanOutput(); // Refresh the change lists, including preview edits
+  const report = buildAuditReport();
+  const format = AUDIT_FORMATS[type];
+  const item = batch.items[batch.current];
+  const name = item ? item.name.split('/').pop().replace(/\.[^.]+$/, '') : report.title;
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([format.render(report)], { type: format.type }));
+  a.download = `${name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'article'}-audit.${type}`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+  showToast('Audit report exported');
+}
+
+// ===== Preview Reconciliation =====
+// Preview anchors carry their link's id (data-link-id / data-srlc-protected)
+// and keep it through text editing. After each edit the ids in the preview
+// are checked against state.links: links whose anchor was deleted move to
+// state.deletedLinks (and come back if the deletion is undone), and anchors
+// without an id of their own — typed, pasted or duplicated ones — lead to a
+// re-analysis of the edited article that adds them to the groups and stats.
+// Known anchors keep their id, decision and edits through the re-analysis.
+
+function previewAnchorId(a) {
+  const id = a.getAttribute('data-link-id') || a.getAttribute('data-srlc-protected');
+  return id === null ? null : parseInt(id, 10);
+}
+
+// Re-analyze when the preview's anchors no longer match state.links one to
+// one. Returns true if links were added, deleted or restored.
+function reconcilePreviewLinks() {
+  const frame = document.getElementById('preview-frame');
+  if (state.format !== 'html' || !state.previewReady || !frame.contentDocument) return false;
+  const body = frame.contentDocument.body;
+  const live = new Set(state.links.map(l => l.id));
+  const seen = new Set();
+  const changed = Array.from(body.querySelectorAll('a[href]:not([data-srlc-untracked])')).some(a => {
+    const id = previewAnchorId(a);
+    if (id === null || seen.has(id) || !live.has(id)) return true;
+    seen.add(id);
+    return false;
+  });
+  if (!changed && seen.size === live.size) return false;
+
+  // Settle every anchor's id first: the first anchor with a known id keeps
+  // it, the rest get fresh ones (or the one a restored session saved for them)
+  const known = new Map(state.links.concat(state.deletedLinks).map(l => [l.id, l]));
+  const pending = new Map(state.pendingDecisions.map(d => [d.id, d]));
+  let nextId = Math.max(-1, ...known.keys(), ...pending.keys()) + 1;
+  const clone = previewArticleClone(body);
+  const anchors = Array.from(body.querySelectorAll('a[href]'));
+  const ids = new Set();
+  Array.from(clone.querySelectorAll('a[href]')).forEach((a, i) => {
+    let id = previewAnchorId(a);
+    if (id === null || ids.has(id) || !(known.has(id) || pending.has(id))) id = nextId++;
+    ids.add(id);
+    restorePreviewAnchor(a);
+    a.setAttribute('data-srlc-id', id);
+    anchors[i].srlcId = id;
+  });
+
+  const domain = getDomain();
+  const html = SRLC.restoreTemplateSyntax(clone.innerHTML, state.placeholders);
+  const result = SRLC.analyzeHtml(html, Object.assign(analysisOptions(domain, loadRules(domain)), {
+    linkId: a => parseInt(a.getAttribute('data-srlc-id'), 10)
+  }));
+  // The edited HTML must re-parse to the same anchors; if it doesn't, leave
+  // the records alone rather than risk pairing them with the wrong anchors
+  const byId = new Map(anchors.map(a => [a.srlcId, a]));
+  if (result.links.some(l => !byId.has(l.id) || SRLC.restoreTemplateSyntax(byId.get(l.id).getAttribute('href'), state.placeholders) !== l.href)) {
+    return false;
+  }
+
+  result.links.forEach(link => {
+    const old = known.get(link.id);
+    if (old) {
+      // The analysis saw the edited anchor text; the record keeps the original
+      Object.assign(link, { rawIndex: old.rawIndex, anchorText: old.anchorText, keep: old.keep, reason: old.reason, fix: old.fix, textEdit: old.textEdit });
+    } else {
+      link.rawIndex = -1;
+      if (pending.has(link.id)) applySavedDecision(link, pending.get(link.id));
+      else SRLC.applyManualDecision(link, true, 'kept: added in the preview');
+      markPreviewAnchor(byId.get(link.id), link);
+    }
+  });
+  const linked = new Set(result.links.map(l => l.id));
+  anchors.forEach(a => {
+    if (!linked.has(a.srlcId)) {
+      a.removeAttribute('data-link-id');
+      a.removeAttribute('data-srlc-protected');
+      a.setAttribute('data-srlc-untracked', '');
+    }
+    delete a.srlcId;
+  });
+
+  state.links = result.links;
+  state.deletedLinks = Array.from(known.values()).filter(l => !linked.has(l.id));
+  state.pendingDecisions = state.pendingDecisions.filter(d => !linked.has(d.id));
+  state.groups = result.groups;
+  state.warnings = result.warnings;
+  state.density = result.density;
+  state.stats = result.stats;
+  retagPreviewRegions(body);
+  return true;
+}
+
+// Give an anchor that appeared in the preview the markers generatePreviewHtml
+// puts on analyzed ones; toggleable links get their colours from the next
+// bulk update
+function markPreviewAnchor(a, link) {
+  if (!a.hasAttribute('data-orig-style')) a.setAttribute('data-orig-style', a.getAttribute('style') || '');
+  if (!a.hasAttribute('data-orig-title')) a.setAttribute('data-orig-title', a.getAttribute('title') || '');
+  a.removeAttribute('data-link-id');
+  a.removeAttribute('data-srlc-protected');
+  a.removeAttribute('data-srlc-untracked');
+  a.setAttribute('contenteditable', 'false');
+  if (link.isImageLink || link.isCtaLink) {
+    a.setAttribute('data-srlc-protected', link.id);
+    a.style.cssText = 'background:#bbf7d0;padding:1px 3px;border-radius:3px;outline:1px solid #86efac;';
+    a.setAttribute('title', linkTitle(link));
+  } else {
+    a.setAttribute('data-link-id', link.id);
+  }
+}
+
+// Re-tag the live preview's density regions after a re-analysis, with the
+// hint and script set aside since the analysis never saw them
+function retagPreviewRegions(body) {
+  body.querySelectorAll('[data-srlc-region], [data-srlc-section]').forEach(el => {
+    el.removeAttribute('data-srlc-region');
+    el.removeAttribute('data-srlc-section');
+  });
+  const hint = body.querySelector('.srlc-hint');
+  const scripts = Array.from(body.querySelectorAll('script'));
+  if (hint) hint.remove();
+  scripts.forEach(el => el.remove());
+  tagDensityRegions(body);
+  if (hint) body.insertBefore(hint, body.firstChild);
+  scripts.forEach(el => body.appendChild(el));
+}
+
+// ===== Preview Link Tools =====
+// Text selected in the preview can be wrapped in a new link, or receive a
+// kept link moved from elsewhere (the old occurrence is stripped in the same
+// undo step). Right-clicking a kept link repoints it. New anchors are picked
+// up by the reconciliation like any other preview edit; hrefs autocomplete
+// from the article's URLs, the sitemap and the Site report's URL list.
+const linkTool = { mode: null, range: null, id: null };
+
+// Elements a new link may not swallow — an anchor has to stay inline
+const BLOCK_SELECTOR = 'address, article, aside, blockquote, dd, div, dl, dt, figure, footer, h1, h2, h3, h4, h5, h6, header, hr, li, ol, p, pre, section, table, ul';
+
+function linkToolUrls() {
+  const urls = new Set(Object.values(state.groups).map(g => linkHref(g.links[0])));
+  loadSitemap(getDomain()).forEach(url => urls.add(url));
+  SRLC.parseUrlList(document.getElementById('site-pages').value).forEach(url => urls.add(url));
+  return Array.from(urls);
+}
+
+// The iframe reports selection changes; a non-empty one opens the insert bar
+function handlePreviewSelection(text) {
+  const frame = document.getElementById('preview-frame');
+  if (state.format !== 'html' || !state.previewReady || !frame.contentWindow) return;
+  const selection = frame.contentWindow.getSelection();
+  if (!text.trim() || !selection.rangeCount) {
+    if (linkTool.mode === 'insert') closeLinkTool();
+    return;
+  }
+  linkTool.mode = 'insert';
+  linkTool.range = selection.getRangeAt(0).cloneRange();
+  linkTool.id = null;
+  renderLinkTool();
+}
+
+// Right-click on a kept link opens the bar to change its href
+function pickPreviewLink(id) {
+  const link = state.links.find(l => l.id === id);
+  if (!link || state.format !== 'html') return;
+  if (!link.keep) { showToast(`Link ${SRLC.linkNumber(link)} is being removed — keep it to change its href`); return; }
+  linkTool.mode = 'edit';
+  linkTool.range = null;
+  linkTool.id = id;
+  renderLinkTool();
+  const input = document.getElementById('link-tools-href');
+  input.value = linkHref(link);
+  input.focus();
+  input.select();
+}
+
+function closeLinkTool() {
+  linkTool.mode = null;
+  linkTool.range = null;
+  linkTool.id = null;
+  renderLinkTool();
+}
+
+function renderLinkTool() {
+  const bar = document.getElementById('link-tools');
+  bar.classList.toggle('hidden', !linkTool.mode);
+  if (!linkTool.mode) return;
+  const editing = linkTool.mode === 'edit';
+  const label = editing
+    ? `Link ${SRLC.linkNumber(state.links.find(l => l.id === linkTool.id))} points to`
+    : `Link “${linkTool.range.toString().replace(/\s+/g, ' ').trim()}” to`;
+  document.getElementById('link-tools-label').textContent = label;
+  document.getElementById('link-tools-apply').textContent = editing ? 'Change href' : 'Add link';
+  document.getElementById('link-tools-urls').replaceChildren(...linkToolUrls().map(url => new Option(url, url)));
+  const move = document.getElementById('link-tools-move');
+  move.classList.toggle('hidden', editing);
+  if (!editing) {
+    const kept = state.links.filter(l => l.keep && !l.isImageLink && !l.isCtaLink);
+    document.getElementById('link-tools-source').innerHTML = '<option value="">Or move a kept link here…</option>'
+      + kept.map(l => `<option value="${l.id}">${escapeHtml(`${SRLC.linkNumber(l)} ${linkAnchor(l)} → ${linkHref(l)}`)}</option>`).join('');
+  }
+}
+
+function handleLinkToolKey(e) {
+  if (e.key === 'Enter') { e.preventDefault(); applyLinkTool(); }
+  if (e.key === 'Escape') { e.preventDefault(); closeLinkTool(); }
+}
+
+function applyLinkTool() {
+  const href = document.getElementById('link-tools-href').value.trim();
+  if (!href) { showToast('Enter the URL to link to'); return; }
+  if (linkTool.mode === 'edit') {
+    const link = state.links.find(l => l.id === linkTool.id);
+    closeLinkTool();
+    if (!link || href === linkHref(link)) return;
+    recordDecisions(`repoint ${SRLC.linkNumber(link)}`, () => { link.fix = href === link.href ? null : { to: href }; });
+    updateUIPreservingPreview();
+    renderWarnings();
+    return;
+  }
+  const a = wrapPreviewSelection({ href });
+  if (!a) return;
+  commitPreviewLinkEdit(`link to ${href}`, a);
+}
+
+// Strip the chosen kept link and link the selection to the same target,
+// carrying its other attributes (rel, target, ...) along
+function moveLinkToSelection() {
+  const source = state.links.find(l => l.id === parseInt(document.getElementById('link-tools-source').value, 10));
+  if (!source) { showToast('Choose the link to move'); return; }
+  const frame = document.getElementById('preview-frame');
+  const from = frame.contentDocument.querySelector(`a[data-link-id="${source.id}"]`);
+  if (!from) { showToast(`Link ${SRLC.linkNumber(source)} is no longer in the preview`); return; }
+  const copy = from.cloneNode(false);
+  restorePreviewAnchor(copy);
+  PREVIEW_ATTRIBUTES.forEach(name => copy.removeAttribute(name));
+  const attributes = {};
+  Array.from(copy.attributes).forEach(attr => { attributes[attr.name] = attr.value; });
+  if (source.fix) attributes.href = source.fix.to;
+  const a = wrapPreviewSelection(attributes);
+  if (!a) return;
+  // The re-analysis replaces the link records, so the source is found again by id
+  commitPreviewLinkEdit(`move ${SRLC.linkNumber(source)}`, a, link => {
+    SRLC.applyManualDecision(state.links.find(l => l.id === source.id), false, `moved to link ${SRLC.linkNumber(link)}`);
+    SRLC.applyManualDecision(link, true, `kept: moved here from link ${SRLC.linkNumber(source)}`);
+  });
+}
+
+// Why the selection can't become a link, or null if it can
+function selectionProblem(range) {
+  const body = range.startContainer.ownerDocument.body;
+  const common = range.commonAncestorContainer;
+  const container = common.nodeType === 1 ? common : common.parentNode;
+  if (!body.contains(container) || container.closest('.srlc-hint')) return 'Select text in the article';
+  if (container.closest('a')) return 'The selection is already inside a link';
+  const fragment = range.cloneContents();
+  if (fragment.querySelector('a')) return 'The selection overlaps a link';
+  if (fragment.querySelector(BLOCK_SELECTOR)) return 'Select text within a single paragraph';
+  if (!fragment.textContent.trim() && !fragment.querySelector('img')) return 'Select some text to link';
+  return null;
+}
+
+// Wrap the saved selection in a new anchor, leaving surrounding whitespace
+// outside it the way an editor would
+function wrapPreviewSelection(attributes) {
+  const range = linkTool.range;
+  if (!range) return null;
+  const problem = selectionProblem(range);
+  if (problem) { showToast(problem); return null; }
+  // Typing the preview hasn't reported yet becomes its own undo step
+  const frame = document.getElementById('preview-frame');
+  if (frame.contentWindow.editTimer) {
+    frame.contentWindow.clearTimeout(frame.contentWindow.editTimer);
+    frame.contentWindow.editTimer = null;
+    reconcilePreviewLinks();
+    recordPreviewEdit();
+  }
+  if (range.startContainer.nodeType === 3) {
+    while (range.startOffset < range.startContainer.length && /\s/.test(range.startContainer.data[range.startOffset])) {
+      range.setStart(range.startContainer, range.startOffset + 1);
+    }
+  }
+  if (range.endContainer.nodeType === 3) {
+    while (range.endOffset > 0 && /\s/.test(range.endContainer.data[range.endOffset - 1])) {
+      range.setEnd(range.endContainer, range.endOffset - 1);
+    }
+  }
+  const doc = range.startContainer.ownerDocument;
+  const a = doc.createElement('a');
+  Object.entries(attributes).forEach(([name, value]) => a.setAttribute(name, value));
+  a.appendChild(range.extractContents());
+  range.insertNode(a);
+  doc.getSelection().removeAllRanges();
+  return a;
+}
+
+// Re-analyze after adding anchor `a` and record the new body, plus whatever
+// `decide(link)` changes for the link it became, as one undo step
+function commitPreviewLinkEdit(label, a, decide) {
+  reconcilePreviewLinks();
+  const id = previewAnchorId(a);
+  const link = state.links.find(l => l.id === id);
+  const after = capturePreviewBody();
+  const changes = link && decide ? decisionChanges(() => decide(link)) : [];
+  pushHistory(Object.assign({ label, before: state.previewSnapshot, after }, changes.length ? { changes } : {}));
+  state.previewSnapshot = after;
+  closeLinkTool();
+  updateUIPreservingPreview();
+  renderWarnings();
+  if (!link) showToast(`${a.getAttribute('href')} isn't a link the analysis tracks — it was added as-is`);
+}
+
+// ===== Undo / Redo =====
+// Each article keeps its own history. Decision steps store the before/after
+// keep flag, reason and sitemap fix of every link they changed; text edit
+// steps store the preview body on either side of the edit. Link tool steps
+// store both: the body the link was added to and the decisions made with it.
+const MAX_HISTORY = 100;
+
+function pushHistory(entry) {
+  const history = state.history;
+  history.undo.push(entry);
+  if (history.undo.length > MAX_HISTORY) history.undo.shift();
+  history.redo = [];
+  renderHistoryButtons();
+}
+
+// Run a decision change and return the before/after of every link it changed
+function decisionChanges(mutate) {
+  const before = new Map(state.links.map(l => [l.id, { keep: l.keep, reason: l.reason, fix: l.fix, textEdit: l.textEdit }]));
+  mutate();
+  return state.links
+    .filter(l => {
+      const prev = before.get(l.id);
+      return prev.keep !== l.keep || prev.reason.message !== l.reason.message || prev.fix !== l.fix || prev.textEdit !== l.textEdit;
+    })
+    .map(l => ({ id: l.id, before: before.get(l.id), after: { keep: l.keep, reason: l.reason, fix: l.fix, textEdit: l.textEdit } }));
+}
+
+// Run a decision change and record whatever it changed as one undo step
+function recordDecisions(label, mutate) {
+  const changes = decisionChanges(mutate);
+  if (changes.length) pushHistory({ label, changes });
+}
+
+function recordPreviewEdit() {
+  const body = capturePreviewBody();
+  if (body === null || body === state.previewSnapshot) return;
+  pushHistory({ label: 'text edit', before: state.previewSnapshot, after: body });
+  state.previewSnapshot = body;
+}
+
+function applyHistoryEntry(entry, side) {
+  // The body goes first so the links it brings back exist for the decisions
+  if (typeof entry[side] === 'string') {
+    const frame = document.getElementById('preview-frame');
+    if (!state.previewReady || !frame.contentDocument) return;
+    frame.contentDocument.body.innerHTML = entry[side];
+    state.previewSnapshot = entry[side];
+    reconcilePreviewLinks();
+  }
+  if (entry.changes) {
+    entry.changes.forEach(change => {
+      const link = state.links.concat(state.deletedLinks).find(l => l.id === change.id);
+      if (!link) return; // Removed by a link tool or a re-analysis since
+      link.keep = change[side].keep;
+      link.reason = change[side].reason;
+      link.fix = change[side].fix || null;
+      link.textEdit = change[side].textEdit === undefined ? null : change[side].textEdit;
+    });
+  }
+  // Restored bodies may carry stale link highlighting, so always resync
+  updateUIPreservingPreview();
+  renderWarnings();
+  renderHistoryButtons();
+}
+
+function handleUndo() {
+  const entry = state.history.undo.pop();
+  if (!entry) { showToast('Nothing to undo'); return; }
+  applyHistoryEntry(entry, 'before');
+  state.history.redo.push(entry);
+  renderHistoryButtons();
+  showToast(`Undid ${entry.label}`);
+}
+
+function handleRedo() {
+  const entry = state.history.redo.pop();
+  if (!entry) { showToast('Nothing to redo'); return; }
+  applyHistoryEntry(entry, 'after');
+  state.history.undo.push(entry);
+  renderHistoryButtons();
+  showToast(`Redid ${entry.label}`);
+}
+
+function renderHistoryButtons() {
+  const { undo, redo } = state.history;
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
+  undoBtn.disabled = !undo.length;
+  redoBtn.disabled = !redo.length;
+  undoBtn.title = undo.length ? `Undo ${undo[undo.length - 1].label} (Ctrl/Cmd+Z)` : 'Nothing to undo';
+  redoBtn.title = redo.length ? `Redo ${redo[redo.length - 1].label} (Ctrl/Cmd+Shift+Z)` : 'Nothing to redo';
+}
+
+// ===== Session Persistence =====
+// Review work is autosaved to IndexedDB: the original HTML, the domain, every
+// link decision and the edited preview body. On restore the HTML is
+// re-analyzed and the saved decisions are applied by link id.
+const SESSION_DB_NAME = 'srlc';
+const SESSION_STORE = 'sessions';
+const SESSION_FILE_FORMAT = 'srlc-session';
+const MAX_SAVED_SESSIONS = 30;
+
+let sessionId = null;
+let sessionSaveTimer = null;
+let sessionSaveFailed = false; // Autosave runs after every change, so say so only once
+let sessionDbPromise = null;
+
+function createSessionId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function openSessionDb() {
+  if (!sessionDbPromise) {
+    sessionDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available')); return; }
+      const req = indexedDB.open(SESSION_DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(SESSION_STORE, { keyPath: 'id' }).createIndex('savedAt', 'savedAt');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return sessionDbPromise;
+}
+
+// Run one request against the session store and resolve with its result
+function sessionRequest(mode, makeRequest) {
+  return openSessionDb().then(db => new Promise((resolve, reject) => {
+    const req = makeRequest(db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+function listSessions() {
+  return sessionRequest('readonly', store => store.getAll())
+    .then(sessions => sessions.sort((a, b) => b.savedAt - a.savedAt));
+}
+
+function deleteSession(id) {
+  return sessionRequest('readwrite', store => store.delete(id));
+}
+
+function serializeArticle(name, article, previewBody, reviewed) {
+  return {
+    name,
+    title: article.articleTitle || '',
+    originalHtml: article.originalHtml,
+    format: article.format,
+    contentRoot: article.page ? article.page.root : '',
+    decisions: article.links.map(l => ({ id: l.id, keep: l.keep, reason: l.reason, fix: l.fix, textEdit: l.textEdit })),
+    reviewedGroups: article.reviewedGroups,
+    previewBody: previewBody || null,
+    reviewed: !!reviewed,
+    stats: {
+      totalLinks: article.stats.totalLinks,
+      uniqueUrls: article.stats.uniqueUrls,
+      removing: article.links.filter(l => !l.keep).length
+    }
+  };
+}
+
+function serializeSession() {
+  let articles;
+  if (batch.items.length) {
+    saveBatchItem();
+    articles = batch.items.map(item => serializeArticle(item.name, item.state, item.previewBody, item.reviewed));
+  } else {
+    articles = [serializeArticle('', state, capturePreviewBody(), true)];
+  }
+  const first = articles[0];
+  return {
+    id: sessionId,
+    title: batch.items.length
+      ? `${articles.length} articles${first.name ? ` (${first.name.split('/')[0]}…)` : ''}`
+      : first.title || state.originalHtml.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 60) || 'Untitled article',
+    domain: getDomain(),
+    batch: batch.items.length > 0,
+    current: Math.max(0, batch.current),
+    articles,
+    savedAt: Date.now()
+  };
+}
+
+function saveSessionNow() {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = null;
+  if (!sessionId || !state.originalHtml) return Promise.resolve();
+  const session = serializeSession();
+  return sessionRequest('readwrite', store => store.put(session))
+    .then(() => { sessionSaveFailed = false; })
+    .then(pruneSessions)
+    .catch(err => {
+      if (!sessionSaveFailed) showToast(`Session not saved: ${err.message}`);
+      sessionSaveFailed = true;
+    });
+}
+
+function scheduleSessionSave() {
+  if (!sessionId) return;
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(saveSessionNow, 1000);
+}
+
+function pruneSessions() {
+  return listSessions().then(sessions =>
+    Promise.all(sessions.slice(MAX_SAVED_SESSIONS).map(s => deleteSession(s.id))));
+}
+
+function applySavedDecisions(article, decisions) {
+  const byId = new Map((decisions || []).map(d => [d.id, d]));
+  // Links added in the preview get theirs once the preview body is reconciled
+  article.pendingDecisions = (decisions || []).filter(d => !article.links.some(l => l.id === d.id));
+  article.links.forEach(link => {
+    const saved = byId.get(link.id);
+    if (saved) applySavedDecision(link, saved);
+  });
+}
+
+function applySavedDecision(link, saved) {
+  link.keep = saved.keep;
+  link.reason = saved.reason || link.reason;
+  link.fix = saved.fix || null;
+  link.textEdit = typeof saved.textEdit === 'string' ? saved.textEdit : null;
+}
+
+function restoreSession(session) {
+  document.getElementById('site-domain').value = session.domain || '';
+  clearBatch();
+  sessionId = session.id;
+  const items = session.articles.map(saved => {
+    const article = analyzeArticle(saved.originalHtml, saved.format || 'html', saved.contentRoot || '');
+    applySavedDecisions(article, saved.decisions);
+    article.reviewedGroups = saved.reviewedGroups || [];
+    return { name: saved.name, state: article, previewBody: saved.previewBody, reviewed: saved.reviewed };
+  });
+
+  if (session.batch) {
+    batch.items = items;
+    openBatchItem(Math.min(session.current || 0, items.length - 1));
+  } else {
+    state = items[0].state;
+    document.getElementById('html-input').value = state.originalHtml;
+    showArticle(items[0].previewBody);
+  }
+}
+
+function handleOpenSession(id) {
+  saveSessionNow()
+    .then(() => sessionRequest('readonly', store => store.get(id)))
+    .then(session => {
+      if (!session) { showToast('Session not found'); return; }
+      document.getElementById('recent-panel').classList.add('hidden');
+      restoreSession(session);
+    })
+    .catch(err => showToast(`Could not open session: ${err.message}`));
+}
+
+function handleDeleteSession(e, id) {
+  e.stopPropagation();
+  if (id === sessionId) sessionId = null;
+  deleteSession(id).then(renderRecentSessions);
+}
+
+function renderRecentSessions() {
+  const list = document.getElementById('recent-list');
+  return listSessions().then(sessions => {
+    if (!sessions.length) {
+      list.innerHTML = '<div class="recent-empty">No saved sessions yet — your work is saved here automatically.</div>';
+      return;
+    }
+    list.innerHTML = sessions.map(s => {
+      const removing = s.articles.reduce((n, a) => n + a.stats.removing, 0);
+      const total = s.articles.reduce((n, a) => n + a.stats.totalLinks, 0);
+      return `<div class="recent-item${s.id === sessionId ? ' active' : ''}" onclick="handleOpenSession('${s.id}')">
+        <div class="recent-item-title">${escapeHtml(s.title)}</div>
+        <div class="recent-item-meta">${escapeHtml(s.domain || 'no domain')} · ${new Date(s.savedAt).toLocaleString()} · ${total} links, ${removing} removing</div>
+        <button class="recent-item-delete" title="Delete this session" onclick="handleDeleteSession(event, '${s.id}')">&times;</button>
+      </div>`;
+    }).join('');
+  }).catch(err => {
+    list.innerHTML = `<div class="recent-empty">Sessions unavailable: ${escapeHtml(err.message)}</div>`;
+  });
+}
+
+function toggleRecentPanel() {
+  const panel = document.getElementById('recent-panel');
+  if (panel.classList.contains('hidden')) renderRecentSessions();
+  panel.classList.toggle('hidden');
+}
+
+function handleExportSession() {
+  if (!state.originalHtml) { showToast('Nothing to export'); return; }
+  if (!sessionId) sessionId = createSessionId();
+  const session = Object.assign({ format: SESSION_FILE_FORMAT, version: 1 }, serializeSession());
+  const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${session.title.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'session'}.srlc.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+  showToast('Session exported');
+}
+
+function handleImportSession(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  file.text().then(text => {
+    const session = JSON.parse(text);
+    if (session.format !== SESSION_FILE_FORMAT || !Array.isArray(session.articles) || !session.articles.length) {
+      throw new Error('not a session file');
+    }
+    delete session.format;
+    delete session.version;
+    // Imported sessions get their own id so they never overwrite local work
+    session.id = createSessionId();
+    return saveSessionNow().then(() => {
+      document.getElementById('recent-panel').classList.add('hidden');
+      restoreSession(session);
+      return saveSessionNow();
+    });
+  }).then(() => showToast('Session imported'))
+    .catch(err => showToast(`Could not import session: ${err.message}`));
+}
+
+// ===== Input Section Collapse =====
+function collapseInput() {
+  const body = document.getElementById('input-body');
+  const bar = document.getElementById('input-collapse-bar');
+  const summary = document.getElementById('input-collapse-summary');
+
+  const charCount = state.originalHtml.length;
+  const linkCount = state.stats.totalLinks;
+  const titlePart = state.articleTitle ? `${state.articleTitle}  ·  ` : '';
+  summary.textContent = `${titlePart}${charCount.toLocaleString()} chars, ${linkCount} links found`;
+
+  body.classList.add('collapsed');
+  bar.classList.remove('hidden');
+}
+
+function toggleInputSection() {
+  const body = document.getElementById('input-body');
+  const bar = document.getElementById('input-collapse-bar');
+  const toggle = bar.querySelector('.input-collapse-toggle');
+
+  if (body.classList.contains('collapsed')) {
+    body.classList.remove('collapsed');
+    toggle.textContent = 'Hide';
+  } else {
+    body.classList.add('collapsed');
+    toggle.textContent = 'Show';
+  }
+}
+
+// ===== Event Handlers =====
+function handleAnalyze() {
+  const html = document.getElementById('html-input').value.trim();
+  if (!html) { showToast('Paste some HTML first'); return; }
+
+  let article;
+  try {
+    article = analyzeArticle(html, inputFormat(html));
+  } catch (err) {
+    showToast(err.message);
+    return;
+  }
+
+  // A pasted article replaces any queued batch and starts a new session
+  saveSessionNow();
+  clearBatch();
+  sessionId = createSessionId();
+  state = article;
+  showArticle();
+}
+
+// Render the article in `state`; `savedPreviewBody` restores earlier preview edits
+function showArticle(savedPreviewBody) {
+  const removed = state.links.filter(l => !l.keep).length;
+  if (review.active) resetReview();
+  linksView.editing = null;
+
+  // Check if article is already clean (no redundant links to strip)
+  if (removed === 0) {
+    renderWarnings();
+    updateUI(savedPreviewBody);
+    document.getElementById('main-content').classList.add('visible');
+    collapseInput();
+    showCleanArticleBanner();
+    showToast('\u2705 Article is clean — no redundant links!');
+    return;
+  }
+
+  renderWarnings();
+  updateUI(savedPreviewBody);
+  document.getElementById('main-content').classList.add('visible');
+  collapseInput();
+  hideCleanArticleBanner();
+
+  showToast(`${state.stats.totalLinks} links, ${state.stats.uniqueUrls} unique URLs — ${removed} marked for removal`);
+}
+
+function showCleanArticleBanner() {
+  let banner = document.getElementById('clean-banner');
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'clean-banner';
+    const statsBar = document.getElementById('stats-bar');
+    statsBar.parentNode.insertBefore(banner, statsBar.nextSibling);
+  }
   banner.className = 'clean-banner visible';
   banner.innerHTML = '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M20 6L9 17l-5-5"/></svg> This article is clean — no redundant links found!';
 }
@@ -722,7 +2704,7 @@ function hideCleanArticleBanner() {
 }
 
 function handleAutoStrip() {
-  applyAutoStrip();
+  recordDecisions('Auto-Strip', () => SRLC.applyAutoStrip(state.groups, loadRules(getDomain())));
   if (state.previewReady) {
     updateUIPreservingPreview();
   } else {
@@ -732,7 +2714,7 @@ function handleAutoStrip() {
 }
 
 function handleKeepAll() {
-  applyKeepAll();
+  recordDecisions('Keep All', () => SRLC.applyKeepAll(state.links));
   if (state.previewReady) {
     updateUIPreservingPreview();
   } else {
@@ -743,7 +2725,14 @@ function handleKeepAll() {
 
 function handleNextArticle(e) {
   if (e) e.stopPropagation();
-  state = { originalHtml: '', links: [], groups: {}, warnings: [], stats: {}, targetSelfCount: 0, previewReady: false };
+  if (batch.items.length) {
+    if (batch.current < batch.items.length - 1) stepBatch(1);
+    else showToast('Last article in the queue — download the ZIP when you are done');
+    return;
+  }
+  saveSessionNow();
+  sessionId = null;
+  state = createEmptyState();
 
   document.getElementById('html-input').value = '';
   document.getElementById('stats-bar').classList.remove('visible');
@@ -762,7 +2751,12 @@ function handleNextArticle(e) {
 }
 
 function handleReset() {
-  state = { originalHtml: '', links: [], groups: {}, warnings: [], stats: {}, targetSelfCount: 0, previewReady: false };
+  saveSessionNow();
+  sessionId = null;
+  state = createEmptyState();
+  clearBatch();
+  if (review.active) exitReview();
+  closeLinkTool();
   document.getElementById('html-input').value = '';
   document.getElementById('stats-bar').classList.remove('visible');
   document.getElementById('warnings').classList.remove('visible');
@@ -798,10 +2792,12 @@ function handleCopy(e) {
 
 function handleDownload() {
   renderCleanOutput(); // Refresh to capture any text edits from preview
-  const blob = new Blob([document.getElementById('clean-output').value], { type: 'text/html' });
+  const markdown = state.format === 'markdown';
+  const blob = new Blob([document.getElementById('clean-output').value], { type: markdown ? 'text/markdown' : 'text/html' });
   const a = document.createElement('a');
   a.href = URL.createObjectURL(blob);
-  a.download = 'cleaned-article.html';
+  const item = batch.items[batch.current];
+  a.download = item ? item.name.split('/').pop() : markdown ? 'cleaned-article.md' : 'cleaned-article.html';
   a.click();
   URL.revokeObjectURL(a.href);
   showToast('Downloaded!');
@@ -810,18 +2806,50 @@ function handleDownload() {
 function toggleLink(id) {
   const link = state.links.find(l => l.id === id);
   if (!link || link.isImageLink || link.isCtaLink) return;
-  link.keep = !link.keep;
+  recordDecisions(`${link.keep ? 'strip' : 'keep'} ${SRLC.linkNumber(link)}`, () => SRLC.applyManualDecision(link, !link.keep));
 
   // In-place update in iframe (preserves text edits)
   const frame = document.getElementById('preview-frame');
   if (frame.contentWindow) {
-    frame.contentWindow.postMessage({ type: 'srlc-update', id, keep: link.keep }, '*');
+    frame.contentWindow.postMessage({ type: 'srlc-update', id, keep: link.keep, title: linkTitle(link) }, '*');
   }
+  if (typeof link.textEdit === 'string') syncPreviewAnchorTexts();
 
   // Update everything except preview
   renderStats();
   renderCleanOutput();
   renderChanges();
+  renderLinksTable();
+  renderBatchQueue();
+  renderReviewPanel();
+  scheduleSessionSave();
+}
+
+// Point the links of a not-in-sitemap warning at one of its suggestions
+// (suggestion -1 undoes the fix)
+function applySitemapFix(warningIndex, suggestion) {
+  const warning = state.warnings[warningIndex];
+  if (!warning || warning.type !== 'sitemap') return;
+  const to = warning.suggestions[suggestion];
+  const links = warning.linkIds.map(id => state.links.find(l => l.id === id));
+  const which = links.length > 1 ? `${links.length} links` : SRLC.linkNumber(links[0]);
+  recordDecisions(to ? `fix ${which}` : `undo fix of ${which}`, () => {
+    links.forEach(l => { l.fix = to ? { to } : null; });
+  });
+  updateUIPreservingPreview();
+  renderWarnings();
+}
+
+// Alt+click in the preview: point a link the sitemap doesn't list at its
+// closest match, or undo an earlier fix
+function toggleLinkFix(id) {
+  const link = state.links.find(l => l.id === id);
+  if (!link || (!link.fix && !link.notInSitemap)) return;
+  const best = link.fix ? null : link.notInSitemap.suggestions[0];
+  if (!link.fix && !best) { showToast(`No close match in the sitemap for ${link.href}`); return; }
+  recordDecisions(`${best ? 'fix' : 'undo fix of'} ${SRLC.linkNumber(link)}`, () => { link.fix = best ? { to: best } : null; });
+  updateUIPreservingPreview();
+  renderWarnings();
 }
 
 function switchTab(name) {
@@ -830,20 +2858,62 @@ function switchTab(name) {
   document.querySelectorAll('#output-panel .tab-content').forEach(tc =>
     tc.classList.toggle('active', tc.id === name + '-tab'));
   // Refresh clean output when switching to it (captures text edits)
-  if (name === 'clean') renderCleanOutput();
+  if (name === 'clean' || name === 'diff') renderCleanOutput();
+  if (name === 'site') renderSiteReport();
+  if (name === 'links') renderLinksTable();
 }
 
 // ===== Preview click-to-toggle =====
 window.addEventListener('message', function(e) {
   if (e.data && e.data.type === 'srlc-toggle') {
     toggleLink(e.data.id);
+    // Clicks in the preview move focus there; take it back for the review keys
+    if (review.active) document.getElementById('review-panel').focus();
+  }
+  if (e.data && e.data.type === 'srlc-edit') {
+    const relinked = reconcilePreviewLinks();
+    recordPreviewEdit();
+    if (relinked) {
+      updateUIPreservingPreview();
+      renderWarnings();
+    }
+    scheduleSessionSave();
   }
+  if (e.data && e.data.type === 'srlc-fix') toggleLinkFix(e.data.id);
+  if (e.data && e.data.type === 'srlc-select') handlePreviewSelection(e.data.text);
+  if (e.data && e.data.type === 'srlc-pick') pickPreviewLink(e.data.id);
+  if (e.data && e.data.type === 'srlc-undo') handleUndo();
+  if (e.data && e.data.type === 'srlc-redo') handleRedo();
 });
 
-// Keyboard shortcut
+// Flush pending review work when the tab is hidden or closed
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') saveSessionNow();
+});
+
+// Keyboard shortcuts
 document.addEventListener('keydown', e => {
   if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
     e.preventDefault();
     handleAnalyze();
   }
+  // Undo/redo review steps — text fields keep their native undo
+  const key = e.key.toLowerCase();
+  const inField = e.target.closest && e.target.closest('input, textarea, select');
+  // Review mode keys while the preview is showing
+  if (review.active && !inField && !e.ctrlKey && !e.metaKey && !e.altKey
+      && document.getElementById('preview-tab').classList.contains('active') && handleReviewKey(e)) {
+    e.preventDefault();
+    return;
+  }
+  // n / p step through changed regions while the Diff tab is open
+  if (!inField && !e.ctrlKey && !e.metaKey && !e.altKey && (e.key === 'n' || e.key === 'p')
+      && document.getElementById('diff-tab').classList.contains('active')) {
+    stepDiffHunk(e.key === 'n' ? 1 : -1);
+  }
+  if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') && state.originalHtml && !inField) {
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) handleRedo();
+    else handleUndo();
+  }
 });
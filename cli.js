@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+// ===== SEO Redundant Link Cleaner — command line =====
+// Runs the same engine as the browser UI (analyzeHtml → applyAutoStrip →
+// generateCleanHtml) against a jsdom document.
+// Requires jsdom to be resolvable from this folder: `npm install jsdom`.
+
+const fs = require('fs');
+const path = require('path');
+const SRLC = require('./engine');
+const SRLCMarkdown = require('./markdown');
+
+const USAGE = `Usage: node cli.js [options] <file|folder|glob ...>
+       cat article.html | node cli.js [options] -
+
+Finds redundant internal links and writes cleaned HTML (or Markdown).
+
+Options:
+  -d, --domain <domain>   Site domain used to tell internal from external links
+  -r, --rules <file>      JSON auto-strip rules (same shape as the UI's saved rules)
+  --redirects <file>      Redirect map (CSV/TSV/JSON, old → new) — old slugs count as the new URL
+  --sitemap <file>        sitemap.xml or URL list — internal links to pages it doesn't list
+                          are flagged as probably broken, with close matches
+  --format <format>       auto (default: by file extension, sniffed for stdin), html or markdown
+  --templates <list>      Template dialects to shield, comma-separated (default: all —
+                          handlebars, liquid, erb, php, shortcode)
+  --root <selector>       Content root of full pages (<html>…): only links inside it are
+                          cleaned (default: auto — largest <article>, <main>, or the
+                          biggest block of paragraphs)
+  -l, --lossless          Only cut the removed <a> tags from the source; leave all other bytes as-is
+  --report <file>         Write a cross-article report of internal link targets
+                          (.json for JSON, anything else CSV); without --domain
+                          only relative links are counted
+  --pages <file>          Site URL list (one per line) — pages no article links to
+                          are reported as orphans (needs --report)
+  -w, --write             Overwrite input files with the cleaned HTML
+  -o, --out-dir <dir>     Write cleaned files to <dir>, keeping relative paths
+  -c, --check             Don't write cleaned files; exit 1 if redundant links are found
+  -q, --quiet             Only print errors (and file names in --check mode)
+  -h, --help              Show this help
+
+Full pages are written back whole: only the content root's inner HTML changes.
+Folders are searched recursively for .html/.htm/.md/.mdx files. Globs support *, ** and ?.
+With "-" (or no inputs and piped stdin) the article is read from stdin and the
+cleaned HTML is printed to stdout.
+
+Exit codes: 0 = ok, 1 = redundant links found (--check), 2 = usage or I/O error`;
+
+const ARTICLE_EXT = /\.(?:html?|mdx?)$/i;
+const MARKDOWN_EXT = /\.mdx?$/i;
+const FORMATS = ['auto', 'html', 'markdown'];
+
+// ===== Argument Parsing =====
+function parseArgs(argv) {
+  const opts = { domain: '', rules: '', redirects: '', sitemap: '', format: 'auto', templates: null, root: '', report: '', pages: '', lossless: false, write: false, outDir: '', check: false, quiet: false, help: false, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '-d' || arg === '--domain') opts.domain = next().trim();
+    else if (arg.startsWith('--domain=')) opts.domain = arg.slice(9).trim();
+    else if (arg === '-r' || arg === '--rules') opts.rules = next();
+    else if (arg.startsWith('--rules=')) opts.rules = arg.slice(8);
+    else if (arg === '--redirects') opts.redirects = next();
+    else if (arg.startsWith('--redirects=')) opts.redirects = arg.slice(12);
+    else if (arg === '--sitemap') opts.sitemap = next();
+    else if (arg.startsWith('--sitemap=')) opts.sitemap = arg.slice(10);
+    else if (arg === '-o' || arg === '--out-dir') opts.outDir = next();
+    else if (arg.startsWith('--out-dir=')) opts.outDir = arg.slice(10);
+    else if (arg === '--format') opts.format = next();
+    else if (arg.startsWith('--format=')) opts.format = arg.slice(9);
+    else if (arg === '--templates') opts.templates = next().split(',').map(t => t.trim()).filter(Boolean);
+    else if (arg.startsWith('--templates=')) opts.templates = arg.slice(12).split(',').map(t => t.trim()).filter(Boolean);
+    else if (arg === '--root') opts.root = next().trim();
+    else if (arg.startsWith('--root=')) opts.root = arg.slice(7).trim();
+    else if (arg === '--report') opts.report = next();
+    else if (arg.startsWith('--report=')) opts.report = arg.slice(9);
+    else if (arg === '--pages') opts.pages = next();
+    else if (arg.startsWith('--pages=')) opts.pages = arg.slice(8);
+    else if (arg === '-l' || arg === '--lossless') opts.lossless = true;
+    else if (arg === '-w' || arg === '--write') opts.write = true;
+    else if (arg === '-c' || arg === '--check') opts.check = true;
+    else if (arg === '-q' || arg === '--quiet') opts.quiet = true;
+    else if (arg === '-h' || arg === '--help') opts.help = true;
+    else if (arg.startsWith('-') && arg !== '-') throw new Error(`Unknown option: ${arg}`);
+    else opts.inputs.push(arg);
+  }
+  if (!FORMATS.includes(opts.format)) throw new Error(`Unknown format: ${opts.format} (use ${FORMATS.join(', ')})`);
+  const unknown = (opts.templates || []).filter(t => !SRLC.TEMPLATE_DIALECTS[t]);
+  if (unknown.length) throw new Error(`Unknown template dialect: ${unknown.join(', ')}`);
+  if (opts.check && (opts.write || opts.outDir)) throw new Error('--check cannot be combined with --write or --out-dir');
+  if (opts.write && opts.outDir) throw new Error('Use either --write or --out-dir, not both');
+  if (opts.pages && !opts.report) throw new Error('--pages needs --report');
+  return opts;
+}
+
+// ===== Input Expansion =====
+function hasGlobChars(p) {
+  return /[*?]/.test(p);
+}
+
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; }
+        else { re += '.*'; i++; }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + re + '$');
+}
+
+function walk(dir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(full, files);
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+// Resolve every input to { file, base } — base is the folder the file's
+// relative output path is computed from when --out-dir is used.
+function expandInputs(inputs) {
+  const seen = new Set();
+  const results = [];
+  const add = (file, base) => {
+    const abs = path.resolve(file);
+    if (seen.has(abs)) return;
+    seen.add(abs);
+    results.push({ file: abs, base: path.resolve(base) });
+  };
+
+  for (const input of inputs) {
+    if (hasGlobChars(input)) {
+      const parts = input.split(/[\\/]/);
+      const firstGlob = parts.findIndex(hasGlobChars);
+      const base = parts.slice(0, firstGlob).join('/') || '.';
+      if (!fs.existsSync(base)) continue;
+      const matcher = globToRegExp(parts.slice(firstGlob).join('/'));
+      walk(base)
+        .filter(f => matcher.test(path.relative(base, f).split(path.sep).join('/')))
+        .forEach(f => add(f, base));
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      walk(input).filter(f => ARTICLE_EXT.test(f)).forEach(f => add(f, input));
+    } else if (fs.existsSync(input)) {
+      add(input, path.dirname(input));
+    } else {
+      throw new Error(`No such file or directory: ${input}`);
+    }
+  }
+  return results;
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+// ===== Headless Engine =====
+// The engine only needs a DOM document to parse fragments; one jsdom window is
+// shared by every article.
+function createCleaner(templates, root) {
+  let JSDOM;
+  try {
+    ({ JSDOM } = require('jsdom'));
+  } catch {
+    throw new Error('jsdom is not installed. Run `npm install jsdom` next to cli.js.');
+  }
+  const { document } = new JSDOM('').window;
+
+  return (html, format, domain, rules, redirects, sitemap) => {
+    const options = { domain, rules, redirects, sitemap, templates: templates || undefined, root, document };
+    const result = format === 'markdown' ? SRLCMarkdown.cleanMarkdown(html, options) : SRLC.cleanArticle(html, options);
+    return {
+      format,
+      title: result.title,
+      stats: result.stats,
+      warnings: result.warnings,
+      links: result.links,
+      removed: result.links.filter(l => !l.keep),
+      attributeCleanup: result.attributeCleanup,
+      redirectRewrites: result.redirectRewrites,
+      relChanges: result.relChanges || [],
+      lossless: result.lossless,
+      contentRoot: result.contentRoot || null,
+      removedDefinitions: result.removedDefinitions || [],
+      output: format === 'markdown' ? result.cleanMarkdown : result.cleanHtml
+    };
+  };
+}
+
+// ===== Reporting =====
+function summarize(label, result) {
+  const s = result.stats;
+  const parts = result.contentRoot ? [`root ${result.contentRoot.selector}`] : [];
+  parts.push(`${s.totalLinks} links`, `${s.uniqueUrls} unique`, `${result.removed.length} removing`);
+  Object.entries(result.attributeCleanup).forEach(([id, count]) => {
+    if (count) parts.push(`${count} ${SRLC.ATTRIBUTE_RULES[id].label}`);
+  });
+  if (s.notInSitemap) parts.push(`${s.notInSitemap} not in sitemap`);
+  if (s.denseRegions) parts.push(`${s.denseRegions} dense regions`);
+  if (result.redirectRewrites.length) parts.push(`${result.redirectRewrites.length} redirects rewritten`);
+  if (result.relChanges.length) parts.push(`${result.relChanges.length} rel updated`);
+  if (result.removedDefinitions.length) parts.push(`${result.removedDefinitions.length} reference definitions dropped`);
+  return `${label}: ${parts.join(', ')}`;
+}
+
+function printDetails(result, rules, log) {
+  result.warnings.forEach(w => log(`  ! [${w.type}] ${w.message}`));
+  if (rules.lossless && result.format === 'html' && !result.lossless) {
+    log('  ! [lossless] markup could not be spliced safely — output is re-serialized');
+  }
+  result.relChanges.forEach(r => log(`  ~ ${SRLC.linkNumber(r)} ${r.href} rel="${r.from}" → rel="${r.to}" — ${r.notes.join('; ')}`));
+  result.removed.forEach(l => log(`  - ${SRLC.linkNumber(l)} ${l.href} "${l.anchorText}" — ${l.reason.message}\n      ${l.context}`));
+}
+
+function writeSiteReport(file, articles, pages, domain, rules, log) {
+  const report = SRLC.buildSiteReport(articles, { pages, domain, canonical: rules.canonical });
+  fs.writeFileSync(file, /\.json$/i.test(file) ? JSON.stringify(report, null, 2) + '\n' : SRLC.siteReportToCsv(report));
+  log(`Site report: ${report.targets.length} linked URLs across ${report.articleCount} article${report.articleCount !== 1 ? 's' : ''}`
+    + `${pages ? `, ${report.orphans.length} orphan page${report.orphans.length !== 1 ? 's' : ''}` : ''} → ${file}`);
+}
+
+// ===== Main =====
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) { console.log(USAGE); return 0; }
+
+  const useStdin = opts.inputs.includes('-') || (opts.inputs.length === 0 && !process.stdin.isTTY);
+  if (!useStdin && opts.inputs.length === 0) { console.error(USAGE); return 2; }
+  if (useStdin && opts.inputs.length > 1) { console.error('"-" (stdin) cannot be combined with file inputs'); return 2; }
+
+  let clean, rules, redirects, sitemap, pages;
+  try {
+    clean = createCleaner(opts.templates, opts.root);
+    rules = SRLC.normalizeRules(opts.rules ? JSON.parse(fs.readFileSync(opts.rules, 'utf8')) : undefined);
+    if (opts.lossless) rules.lossless = true;
+    redirects = opts.redirects ? SRLC.parseRedirectMap(fs.readFileSync(opts.redirects, 'utf8')) : undefined;
+    sitemap = opts.sitemap ? SRLC.parseSitemap(fs.readFileSync(opts.sitemap, 'utf8')) : undefined;
+    pages = opts.pages ? SRLC.parseUrlList(fs.readFileSync(opts.pages, 'utf8')) : undefined;
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+
+  // Reports go to stderr when stdout carries the cleaned HTML
+  const log = opts.quiet ? () => {} : (useStdin && !opts.check ? console.error : console.log);
+  let redundantFiles = 0;
+  const reportArticles = [];
+
+  if (useStdin) {
+    let result;
+    try {
+      const html = await readStdin();
+      const format = opts.format !== 'auto' ? opts.format : SRLCMarkdown.looksLikeMarkdown(html) ? 'markdown' : 'html';
+      result = clean(html, format, opts.domain, rules, redirects, sitemap);
+    } catch (err) {
+      console.error(`<stdin>: ${err.message}`);
+      return 2;
+    }
+    if (result.removed.length > 0) redundantFiles++;
+    log(summarize('<stdin>', result));
+    printDetails(result, rules, log);
+    reportArticles.push({ name: '<stdin>', links: result.links });
+    if (opts.check) {
+      if (opts.quiet && result.removed.length > 0) console.log('<stdin>');
+    } else {
+      process.stdout.write(result.output);
+    }
+    if (opts.report) {
+      try {
+        writeSiteReport(opts.report, reportArticles, pages, opts.domain, rules, log);
+      } catch (err) {
+        console.error(`${opts.report}: ${err.message}`);
+        return 2;
+      }
+    }
+    return opts.check && redundantFiles > 0 ? 1 : 0;
+  }
+
+  let files;
+  try {
+    files = expandInputs(opts.inputs);
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+  if (files.length === 0) { console.error('No HTML files matched.'); return 2; }
+
+  let failed = 0;
+  for (const { file, base } of files) {
+    const label = path.relative(process.cwd(), file) || file;
+    try {
+      const html = fs.readFileSync(file, 'utf8');
+      const format = opts.format !== 'auto' ? opts.format : MARKDOWN_EXT.test(file) ? 'markdown' : 'html';
+      const result = clean(html, format, opts.domain, rules, redirects, sitemap);
+      const changed = result.output !== html;
+      if (result.removed.length > 0) redundantFiles++;
+
+      log(summarize(label, result));
+      printDetails(result, rules, log);
+      reportArticles.push({ name: label, links: result.links });
+      if (opts.check && opts.quiet && result.removed.length > 0) console.log(label);
+
+      if (opts.write && changed) {
+        fs.writeFileSync(file, result.output);
+      } else if (opts.outDir) {
+        const rel = path.relative(base, file);
+        const dest = path.join(path.resolve(opts.outDir), rel.startsWith('..') ? path.basename(file) : rel);
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        fs.writeFileSync(dest, changed ? result.output : html);
+      }
+    } catch (err) {
+      failed++;
+      console.error(`${label}: ${err.message}`);
+    }
+  }
+
+  if (!opts.quiet && files.length > 1) {
+    log(`\n${files.length} file${files.length !== 1 ? 's' : ''} checked, ${redundantFiles} with redundant links`);
+  }
+  if (opts.report) {
+    try {
+      writeSiteReport(opts.report, reportArticles, pages, opts.domain, rules, log);
+    } catch (err) {
+      console.error(`${opts.report}: ${err.message}`);
+      return 2;
+    }
+  }
+  if (failed > 0) return 2;
+  return opts.check && redundantFiles > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => { console.error(err.message); process.exitCode = 2; });
+}
+
+module.exports = { main, parseArgs, expandInputs, globToRegExp };
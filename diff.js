@@ -0,0 +1,289 @@
+// ===== SEO Redundant Link Cleaner — text diff =====
+// Line diff (Myers O(ND)) with a token-level pass over changed line pairs, so
+// a single attribute quote or entity change inside a long line is pinpointed.
+// Also a small HTML tokenizer used to syntax-highlight the diff view.
+// Loads as a browser <script> after engine.js (window.SRLCDiff) or as a
+// CommonJS module.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine'));
+  else root.SRLCDiff = factory(root.SRLC);
+})(typeof self !== 'undefined' ? self : this, function (SRLC) {
+  'use strict';
+
+  // Above this many edits a line pair is shown as wholly changed and a whole
+  // document as deleted + inserted — past that point a minimal diff is noise.
+  const MAX_LINE_EDITS = 2000;
+  const MAX_TOKEN_EDITS = 400;
+
+  /**
+   * Shortest edit script between two arrays.
+   * @param {Array} a
+   * @param {Array} b
+   * @param {number} [maxEdits=Infinity] - give up (return null) beyond this many edits
+   * @returns {Array<{type: 'equal'|'delete'|'insert', a: number, b: number}>|null}
+   *   a/b are the indexes the op consumes (the untouched side holds its current position)
+   */
+  function diffSequences(a, b, maxEdits = Infinity) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const middle = myers(a.slice(start, endA), b.slice(start, endB), maxEdits);
+    if (!middle) return null;
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ type: 'equal', a: i, b: i });
+    middle.forEach(op => ops.push({ type: op.type, a: op.a + start, b: op.b + start }));
+    for (let i = 0; i < a.length - endA; i++) ops.push({ type: 'equal', a: endA + i, b: endB + i });
+    return ops;
+  }
+
+  function myers(a, b, maxEdits) {
+    const n = a.length, m = b.length, max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // trace[d] holds the furthest x for every diagonal k in [-d, d] (index k + d)
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+      if (d > maxEdits) return null;
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          trace.push(v.slice(offset - d, offset + d + 1));
+          return backtrack(trace, n, m);
+        }
+      }
+      trace.push(v.slice(offset - d, offset + d + 1));
+    }
+    return [];
+  }
+
+  function backtrack(trace, n, m) {
+    const ops = [];
+    let x = n, y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+      const prev = trace[d - 1];
+      const at = k => prev[k + d - 1];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+      while (x > prevX && y > prevY) { x--; y--; ops.push({ type: 'equal', a: x, b: y }); }
+      if (x === prevX) { y--; ops.push({ type: 'insert', a: x, b: y }); }
+      else { x--; ops.push({ type: 'delete', a: x, b: y }); }
+    }
+    while (x > 0 && y > 0) { x--; y--; ops.push({ type: 'equal', a: x, b: y }); }
+    return ops.reverse();
+  }
+
+  // Words, runs of whitespace, entities and single punctuation characters —
+  // fine enough that a changed quote or &amp; stands out on its own.
+  function tokenize(line) {
+    return line.match(/\s+|&#?\w+;|[\w-]+|[^\w\s]/g) || [];
+  }
+
+  // Changed character ranges on each side of a line pair, or null when the
+  // pair differs too much for a token diff to be useful.
+  function diffTokens(oldLine, newLine) {
+    const a = tokenize(oldLine), b = tokenize(newLine);
+    const ops = diffSequences(a, b, MAX_TOKEN_EDITS);
+    if (!ops) return null;
+
+    const oldRanges = [], newRanges = [];
+    const mark = (ranges, start, end) => {
+      const last = ranges[ranges.length - 1];
+      if (last && last.end === start) last.end = end;
+      else ranges.push({ start, end });
+    };
+    let oldPos = 0, newPos = 0;
+    ops.forEach(op => {
+      if (op.type === 'equal') {
+        oldPos += a[op.a].length;
+        newPos += b[op.b].length;
+      } else if (op.type === 'delete') {
+        mark(oldRanges, oldPos, oldPos + a[op.a].length);
+        oldPos += a[op.a].length;
+      } else {
+        mark(newRanges, newPos, newPos + b[op.b].length);
+        newPos += b[op.b].length;
+      }
+    });
+    return { oldRanges, newRanges };
+  }
+
+  /**
+   * Line diff grouped into hunks.
+   * @param {string} oldText
+   * @param {string} newText
+   * @param {{context?: number}} [options] - unchanged lines kept around each change (default 3)
+   * @returns {{hunks: Array, added: number, removed: number}} each hunk is
+   *   {oldStart, oldLines, newStart, newLines, rows}; rows are
+   *   {type, oldNo, newNo, text, ranges} with 1-based line numbers and, for
+   *   paired changed lines, the changed character ranges (null = whole line)
+   */
+  function diffLines(oldText, newText, options = {}) {
+    const context = options.context === undefined ? 3 : options.context;
+    const a = oldText.split('\n'), b = newText.split('\n');
+    const ops = diffSequences(a, b, MAX_LINE_EDITS) || []
+      .concat(a.map((line, i) => ({ type: 'delete', a: i, b: 0 })))
+      .concat(b.map((line, i) => ({ type: 'insert', a: a.length, b: i })));
+
+    const rows = ops.map(op => op.type === 'insert'
+      ? { type: 'insert', oldNo: null, newNo: op.b + 1, text: b[op.b], ranges: null }
+      : { type: op.type, oldNo: op.a + 1, newNo: op.type === 'equal' ? op.b + 1 : null, text: a[op.a], ranges: null });
+
+    // Pair the deletes and inserts of each change run for the token pass
+    for (let i = 0; i < rows.length;) {
+      if (rows[i].type === 'equal') { i++; continue; }
+      const deletes = [], inserts = [];
+      while (i < rows.length && rows[i].type !== 'equal') {
+        (rows[i].type === 'delete' ? deletes : inserts).push(rows[i]);
+        i++;
+      }
+      for (let j = 0; j < Math.min(deletes.length, inserts.length); j++) {
+        const tokens = diffTokens(deletes[j].text, inserts[j].text);
+        if (tokens) {
+          deletes[j].ranges = tokens.oldRanges;
+          inserts[j].ranges = tokens.newRanges;
+        }
+      }
+    }
+
+    const hunks = [];
+    let hunk = null;
+    rows.forEach((row, i) => {
+      if (row.type === 'equal') return;
+      const from = Math.max(0, i - context);
+      if (hunk && from <= hunk.end) {
+        hunk.end = Math.min(rows.length, i + context + 1);
+      } else {
+        hunk = { start: from, end: Math.min(rows.length, i + context + 1) };
+        hunks.push(hunk);
+      }
+    });
+
+    return {
+      hunks: hunks.map(({ start, end }) => {
+        const slice = rows.slice(start, end);
+        const firstOld = slice.find(r => r.oldNo !== null);
+        const firstNew = slice.find(r => r.newNo !== null);
+        return {
+          oldStart: firstOld ? firstOld.oldNo : 0,
+          oldLines: slice.filter(r => r.type !== 'insert').length,
+          newStart: firstNew ? firstNew.newNo : 0,
+          newLines: slice.filter(r => r.type !== 'delete').length,
+          rows: slice
+        };
+      }),
+      added: rows.filter(r => r.type === 'insert').length,
+      removed: rows.filter(r => r.type === 'delete').length
+    };
+  }
+
+  /**
+   * Arrange hunk rows in two columns: unchanged lines side by side, and each
+   * change run's deletes next to its inserts.
+   * @param {Array} rows - hunk rows from diffLines
+   * @returns {Array<{left: Object|null, right: Object|null}>}
+   */
+  function toSideBySide(rows) {
+    const pairs = [];
+    for (let i = 0; i < rows.length;) {
+      if (rows[i].type === 'equal') { pairs.push({ left: rows[i], right: rows[i] }); i++; continue; }
+      const deletes = [], inserts = [];
+      while (i < rows.length && rows[i].type !== 'equal') {
+        (rows[i].type === 'delete' ? deletes : inserts).push(rows[i]);
+        i++;
+      }
+      for (let j = 0; j < Math.max(deletes.length, inserts.length); j++) {
+        pairs.push({ left: deletes[j] || null, right: inserts[j] || null });
+      }
+    }
+    return pairs;
+  }
+
+  const HL_TAG = /<\/?[A-Za-z][\w:-]*/y;
+  const HL_ATTR = /[^\s"'=<>/]+/y;
+  const HL_VALUE = /"[^"]*"?|'[^']*'?|[^\s>]+/y;
+  const HL_ENTITY = /&#?\w+;/y;
+
+  // Template code is highlighted from the engine's own dialect patterns; all of
+  // the built-in dialects open with one of these characters
+  const TEMPLATE_OPENERS = '{<[';
+
+  function templatePattern(templates) {
+    const sources = templates.map(name => SRLC.TEMPLATE_DIALECTS[name].pattern.source);
+    return sources.length ? new RegExp(sources.join('|'), 'y') : null;
+  }
+
+  const HL_TEMPLATE = templatePattern(Object.keys(SRLC.TEMPLATE_DIALECTS));
+
+  /**
+   * Syntax classes for HTML source.
+   * @param {string} text
+   * @param {string[]} [templates] - template dialect names (default: all built-ins)
+   * @returns {Array<{start: number, end: number, type: string}>} non-overlapping,
+   *   in order; type is tag, attr, value, entity, comment or template
+   */
+  function highlightHtml(text, templates) {
+    const templateRe = templates ? templatePattern(templates) : HL_TEMPLATE;
+    const spans = [];
+    const match = (re, pos) => { re.lastIndex = pos; const m = re.exec(text); return m && m[0]; };
+    let i = 0;
+    while (i < text.length) {
+      if (text.startsWith('<!--', i)) {
+        const close = text.indexOf('-->', i + 4);
+        const end = close < 0 ? text.length : close + 3;
+        spans.push({ start: i, end, type: 'comment' });
+        i = end;
+        continue;
+      }
+      const template = templateRe && TEMPLATE_OPENERS.includes(text[i]) && match(templateRe, i);
+      if (template) {
+        spans.push({ start: i, end: i + template.length, type: 'template' });
+        i += template.length;
+        continue;
+      }
+      const entity = text[i] === '&' && match(HL_ENTITY, i);
+      if (entity) {
+        spans.push({ start: i, end: i + entity.length, type: 'entity' });
+        i += entity.length;
+        continue;
+      }
+      const tag = text[i] === '<' && match(HL_TAG, i);
+      if (!tag) { i++; continue; }
+
+      spans.push({ start: i, end: i + tag.length, type: 'tag' });
+      i += tag.length;
+      while (i < text.length) {
+        if (/\s/.test(text[i])) { i++; continue; }
+        if (text[i] === '>' || text.startsWith('/>', i)) {
+          const end = i + (text[i] === '>' ? 1 : 2);
+          spans.push({ start: i, end, type: 'tag' });
+          i = end;
+          break;
+        }
+        if (text[i] === '=') {
+          const value = match(HL_VALUE, i + 1);
+          if (value) spans.push({ start: i + 1, end: i + 1 + value.length, type: 'value' });
+          i += 1 + (value ? value.length : 0);
+          continue;
+        }
+        const attr = match(HL_ATTR, i);
+        if (!attr) { i++; continue; }
+        spans.push({ start: i, end: i + attr.length, type: 'attr' });
+        i += attr.length;
+      }
+    }
+    return spans;
+  }
+
+  return { diffSequences, diffTokens, diffLines, toSideBySide, highlightHtml };
+});
@@ -0,0 +1,2152 @@
+// ===== SEO Redundant Link Cleaner — analysis engine =====
+// Pure link analysis API: options in, result out, no globals and no UI.
+// Loads as a browser <script> (exposed as window.SRLC) or as a CommonJS
+// module (require('./engine')). Parsing needs a DOM `document`: the browser's
+// global one is used by default, elsewhere pass one in (e.g. from jsdom).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SRLC = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const ELEMENT_NODE = 1;
+  const TEXT_NODE = 3;
+
+  function resolveDocument(options) {
+    const doc = (options && options.document) || (typeof document !== 'undefined' ? document : null);
+    if (!doc) throw new Error('SRLC: no DOM document available — pass options.document');
+    return doc;
+  }
+
+  // ===== Template Syntax Protection =====
+  // Template code is swapped for inert __SRLC_TPL_n__ placeholders before the
+  // HTML parser sees it, and swapped back on output. A dialect is just a name
+  // and a pattern; pass `options.templates` (names and/or {name, pattern}
+  // objects) to choose which ones apply — by default all of these do.
+  const TEMPLATE_DIALECTS = {
+    handlebars: { label: 'Handlebars / Mustache / Jinja {{ }}', pattern: /\{\{\{[\s\S]*?\}\}\}|\{\{(?:[^}]|\}(?!\}))*\}\}/g },
+    liquid: { label: 'Liquid / Jinja / Twig {% %} and {# #}', pattern: /\{%[\s\S]*?%\}|\{#[\s\S]*?#\}/g },
+    erb: { label: 'ERB / EJS / ASP <% %>', pattern: /<%[\s\S]*?%>/g },
+    php: { label: 'PHP <?php ?>', pattern: /<\?(?:php\b|=)[\s\S]*?(?:\?>|$)/g },
+    shortcode: { label: 'WordPress shortcodes [tag]…[/tag]', pattern: /\[\/?[A-Za-z][\w-]*(?:\s[^[\]]*)?\/?\]/g }
+  };
+
+  // Placeholders may end up as attribute names, which the parser lowercases
+  // and serializes with an empty value — both are undone on restore.
+  const PLACEHOLDER = /__SRLC_TPL_(\d+)__(?:="")?/gi;
+  const HAS_PLACEHOLDER = /__SRLC_TPL_\d+__/i;
+
+  function resolveTemplateDialects(templates) {
+    const list = templates || Object.keys(TEMPLATE_DIALECTS);
+    return list.map(t => {
+      const dialect = typeof t === 'string' ? Object.assign({ name: t }, TEMPLATE_DIALECTS[t]) : t;
+      if (!(dialect.pattern instanceof RegExp)) throw new Error(`SRLC: unknown template dialect "${typeof t === 'string' ? t : dialect.name}"`);
+      const flags = dialect.pattern.flags.includes('g') ? dialect.pattern.flags : dialect.pattern.flags + 'g';
+      return { name: dialect.name, pattern: new RegExp(dialect.pattern.source, flags) };
+    });
+  }
+
+  /**
+   * Replace template code with placeholders. Where dialects overlap, the
+   * match that starts first wins.
+   * @param {string} html
+   * @param {Array<string|{name: string, pattern: RegExp}>} [templates] - dialects (default: all built-ins)
+   * @returns {{html: string, placeholders: string[]}}
+   */
+  function protectTemplateSyntax(html, templates) {
+    const dialects = resolveTemplateDialects(templates);
+    const next = dialects.map(() => ({ index: -1 }));
+    const placeholders = [];
+    let out = '';
+    let pos = 0;
+
+    while (pos < html.length) {
+      let best = null;
+      dialects.forEach((d, i) => {
+        // Matches found earlier stay valid until the scan passes them
+        if (next[i] && next[i].index < pos) {
+          d.pattern.lastIndex = pos;
+          let m = d.pattern.exec(html);
+          while (m && !m[0]) { d.pattern.lastIndex = m.index + 1; m = d.pattern.exec(html); }
+          next[i] = m;
+        }
+        if (next[i] && (!best || next[i].index < best.index)) best = next[i];
+      });
+      if (!best) break;
+      out += html.slice(pos, best.index) + `__SRLC_TPL_${placeholders.length}__`;
+      placeholders.push(best[0]);
+      pos = best.index + best[0].length;
+    }
+    return { html: out + html.slice(pos), placeholders };
+  }
+
+  function restoreTemplateSyntax(html, placeholders) {
+    if (!placeholders || placeholders.length === 0) return html;
+    return html.replace(PLACEHOLDER, (match, idx) => {
+      const source = placeholders[parseInt(idx)];
+      return source === undefined ? match : source;
+    });
+  }
+
+  // An href that is (or contains) template code can't be resolved here, so
+  // such links are grouped by the expression itself, whitespace ignored.
+  function templateHrefKey(href, placeholders) {
+    if (!href || !HAS_PLACEHOLDER.test(href)) return null;
+    return 'template:' + restoreTemplateSyntax(href.trim(), placeholders).replace(/\s+/g, '');
+  }
+
+  /** Parse an HTML fragment into a detached <div> with template syntax shielded. */
+  function parseFragment(html, options) {
+    const { html: protectedHtml, placeholders } = protectTemplateSyntax(html, options && options.templates);
+    const container = resolveDocument(options).createElement('div');
+    container.innerHTML = protectedHtml;
+    return { container, placeholders };
+  }
+
+  // ===== URL Canonicalization =====
+  // Every step is optional so a surprising group can be traced back to the
+  // step that merged it (see canonicalizeUrl().steps) and switched off.
+  const DEFAULT_CANONICAL = {
+    hostAware: true,        // links to other hosts get their own groups (any absolute URL without a site domain)
+    ignoreParams: ['utm_*', 'gclid', 'fbclid', 'msclkid', 'dclid', 'yclid', 'mc_cid', 'mc_eid', '_ga', '_gl', 'igshid'],
+    sortParams: true,       // ?b=2&a=1 and ?a=1&b=2 are the same page
+    foldIndex: true,        // /guns/index.html → /guns
+    ignoreFragment: false   // /guns#specs and /guns are the same page
+  };
+
+  const INDEX_FILE = /\/(?:index|default)\.(?:html?|php|aspx?|jsp)$/;
+
+  function normalizeCanonicalOptions(options) {
+    const c = Object.assign({}, DEFAULT_CANONICAL);
+    if (!options || typeof options !== 'object') return c;
+    for (const key of ['hostAware', 'sortParams', 'foldIndex', 'ignoreFragment']) {
+      if (typeof options[key] === 'boolean') c[key] = options[key];
+    }
+    const params = typeof options.ignoreParams === 'string' ? options.ignoreParams.split(',') : options.ignoreParams;
+    if (Array.isArray(params)) {
+      c.ignoreParams = params.map(p => String(p).trim().toLowerCase()).filter(Boolean);
+    }
+    return c;
+  }
+
+  function isIgnoredParam(name, patterns) {
+    return patterns.some(p => p.endsWith('*') ? name.startsWith(p.slice(0, -1)) : name === p);
+  }
+
+  function stripWww(host) {
+    return host.replace(/^www\./, '');
+  }
+
+  function isSiteHost(host, domain) {
+    const h = stripWww(host.toLowerCase());
+    const d = stripWww(domain.toLowerCase());
+    return h === d || h.endsWith('.' + d);
+  }
+
+  /**
+   * Canonical grouping key for an href, plus a log of the steps that changed it.
+   * Returns null for links that don't point anywhere (empty, #, javascript:, mailto:, tel:).
+   * @param {string} href
+   * @param {{domain?: string, canonical?: object}} [options]
+   * @returns {{key: string, steps: string[]}|null}
+   */
+  function canonicalizeUrl(href, options = {}) {
+    if (!href) return null;
+    href = href.trim();
+    if (!href || href === '#' || href.startsWith('javascript:') || href.startsWith('mailto:') || href.startsWith('tel:')) return null;
+
+    const c = normalizeCanonicalOptions(options.canonical);
+    const domain = (options.domain || '').trim();
+    const steps = [];
+    let host = '';
+    let path, query, fragment;
+
+    if (href.startsWith('http://') || href.startsWith('https://') || href.startsWith('//')) {
+      let url;
+      try {
+        url = new URL(href, 'https://placeholder.com');
+      } catch {
+        return { key: href.toLowerCase(), steps };
+      }
+      path = url.pathname.toLowerCase();
+      query = url.search.slice(1);
+      fragment = url.hash.slice(1);
+      // Without a site domain we can't tell our pages from others, so every
+      // absolute URL keeps its host; only relative links are host-less
+      if (c.hostAware && !(domain && isSiteHost(url.hostname, domain))) {
+        host = stripWww(url.hostname.toLowerCase());
+        steps.push(domain ? `grouped under external host ${host}` : `grouped under host ${host} (no site domain set)`);
+      }
+    } else {
+      // Relative URL: split into path + rest (query/fragment)
+      const lower = href.toLowerCase();
+      const hashAt = lower.indexOf('#');
+      const beforeHash = hashAt === -1 ? lower : lower.slice(0, hashAt);
+      fragment = hashAt === -1 ? '' : lower.slice(hashAt + 1);
+      const queryAt = beforeHash.indexOf('?');
+      path = queryAt === -1 ? beforeHash : beforeHash.slice(0, queryAt);
+      query = queryAt === -1 ? '' : beforeHash.slice(queryAt + 1);
+    }
+
+    if (c.foldIndex && INDEX_FILE.test(path)) {
+      steps.push(`folded index file ${path.slice(path.lastIndexOf('/') + 1)}`);
+      path = path.replace(INDEX_FILE, '/');
+    }
+    if (path.length > 1 && path.endsWith('/')) path = path.slice(0, -1);
+
+    let params = query ? query.toLowerCase().split('&').filter(Boolean) : [];
+    if (c.ignoreParams.length) {
+      const dropped = params.filter(p => isIgnoredParam(p.split('=')[0], c.ignoreParams));
+      if (dropped.length) {
+        steps.push(`dropped ${dropped.map(p => p.split('=')[0]).join(', ')}`);
+        params = params.filter(p => !dropped.includes(p));
+      }
+    }
+    if (c.sortParams && params.length > 1) {
+      const sorted = params.slice().sort();
+      if (sorted.join('&') !== params.join('&')) steps.push('sorted query params');
+      params = sorted;
+    }
+
+    // A bare "#section" is a same-page jump: its fragment is all there is to compare
+    if (fragment && c.ignoreFragment && (path || params.length || host)) {
+      steps.push(`ignored #${fragment}`);
+      fragment = '';
+    }
+
+    const key = (host ? host + (path || '/') : path)
+      + (params.length ? '?' + params.join('&') : '')
+      + (fragment ? '#' + fragment : '');
+    return { key: key || href.toLowerCase(), steps };
+  }
+
+  /** Canonical grouping key for an href (see canonicalizeUrl), or null if it isn't a real link. */
+  function normalizeUrl(href, options) {
+    const result = canonicalizeUrl(href, options);
+    return result ? result.key : null;
+  }
+
+  // ===== Redirect Map =====
+  /**
+   * Parse a redirect table into [from, to] pairs. Accepts JSON (an object of
+   * old → new, or an array of [old, new] / {from, to} entries) or CSV/TSV with
+   * one redirect per line; a header row and #-comments are skipped.
+   */
+  function parseRedirectMap(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return [];
+
+    if (trimmed[0] === '{' || trimmed[0] === '[') {
+      const data = JSON.parse(trimmed);
+      const entries = Array.isArray(data)
+        ? data.map(e => Array.isArray(e) ? e : [e.from ?? e.old ?? e.source, e.to ?? e.new ?? e.target])
+        : Object.entries(data);
+      return entries
+        .filter(e => e && typeof e[0] === 'string' && typeof e[1] === 'string' && e[0].trim() && e[1].trim())
+        .map(e => [e[0].trim(), e[1].trim()]);
+    }
+
+    const pairs = [];
+    trimmed.split(/\r?\n/).forEach((line, i) => {
+      line = line.trim();
+      if (!line || line.startsWith('#')) return;
+      const cols = line.split(/\s*(?:\t|,|;|\s->\s|\s=>\s)\s*/).map(c => c.replace(/^"(.*)"$/, '$1').trim());
+      if (cols.length < 2 || !cols[0] || !cols[1]) return;
+      // Header row: neither column looks like a URL or path
+      if (i === 0 && !/[/.]/.test(cols[0]) && !/[/.]/.test(cols[1])) return;
+      pairs.push([cols[0], cols[1]]);
+    });
+    return pairs;
+  }
+
+  /**
+   * Build a lookup that follows redirect chains. Keys are canonicalized the
+   * same way links are, so "/old/", "/old?utm_source=x" and the absolute URL
+   * all hit the same entry.
+   * @param {Array<[string, string]>} pairs
+   * @param {{domain?: string, canonical?: object}} [options]
+   * @returns {function(string): ({href: string, key: string, hops: string[], loop: boolean}|null)}
+   */
+  function createRedirectResolver(pairs, options = {}) {
+    // Without a site domain absolute URLs keep their host in their keys; the
+    // hosts of the old URLs are the site's own, so theirs is dropped
+    const siteHosts = new Set();
+    if (!(options.domain || '').trim()) {
+      (pairs || []).forEach(([from]) => {
+        if (!isAbsoluteUrl(from)) return;
+        try {
+          siteHosts.add(stripWww(new URL(from, 'https://placeholder.com').hostname.toLowerCase()));
+        } catch {
+          return;
+        }
+      });
+    }
+    const local = key => {
+      const slash = key.indexOf('/');
+      return slash > 0 && siteHosts.has(key.slice(0, slash)) ? key.slice(slash) : key;
+    };
+
+    const map = new Map();
+    (pairs || []).forEach(([from, to]) => {
+      const fromKey = normalizeUrl(from, options);
+      const toKey = normalizeUrl(to, options);
+      if (fromKey && toKey && local(fromKey) !== local(toKey)) map.set(local(fromKey), { href: to, key: local(toKey) });
+    });
+
+    return function resolve(key) {
+      key = local(key);
+      if (!map.has(key)) return null;
+      const seen = new Set([key]);
+      const hops = [];
+      let cur = { href: null, key };
+      while (map.has(cur.key)) {
+        cur = map.get(cur.key);
+        hops.push(cur.href);
+        if (seen.has(cur.key)) return { href: null, key, hops, loop: true };
+        seen.add(cur.key);
+      }
+      return { href: cur.href, key: cur.key, hops, loop: false };
+    };
+  }
+
+  // ===== Sitemap Validation =====
+  // Internal links are checked offline against the pages a sitemap lists;
+  // a link to an unlisted page is probably broken, and the listed pages with
+  // the most similar slug are offered as fixes.
+  const SITEMAP_MATCH = 0.6;      // minimum slug similarity for a suggestion
+  const MAX_SUGGESTIONS = 3;
+
+  const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+  function decodeXml(text) {
+    return text.replace(/&(?:#x([\da-f]+)|#(\d+)|(\w+));/gi, (m, hex, dec, name) =>
+      hex ? String.fromCodePoint(parseInt(hex, 16)) : dec ? String.fromCodePoint(+dec) : XML_ENTITIES[name] || m);
+  }
+
+  /**
+   * Parse a sitemap.xml (every <loc> of a <urlset>) or a plain URL list (see
+   * parseUrlList). Throws for a sitemap index: its entries are other sitemaps,
+   * not pages.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function parseSitemap(text) {
+    const source = String(text || '');
+    if (/<sitemapindex[\s>]/i.test(source)) {
+      throw new Error('this is a sitemap index — load the sitemaps it lists instead');
+    }
+    if (!/<(?:urlset|loc)[\s>]/i.test(source)) return parseUrlList(source);
+    const urls = [];
+    const loc = /<loc>\s*(?:<!\[CDATA\[([\s\S]*?)\]\]>|([^<]*))\s*<\/loc>/gi;
+    let m;
+    while ((m = loc.exec(source))) {
+      const url = (m[1] !== undefined ? m[1] : decodeXml(m[2])).trim();
+      if (url) urls.push(url);
+    }
+    return urls;
+  }
+
+  function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // Last path segment without its file extension, plus its words
+  function slugInfo(path) {
+    const segments = path.split('/').filter(Boolean);
+    const slug = segments.length ? segments[segments.length - 1].replace(/\.\w+$/, '') : '';
+    return { slug, words: new Set(slug.split(/[-_.+]+/).filter(Boolean)) };
+  }
+
+  // 0–1: the better of the slugs' edit similarity (typos, truncation) and
+  // their shared words (reordered or extra words)
+  function slugSimilarity(a, b) {
+    if (!a.slug || !b.slug) return 0;
+    const edit = 1 - editDistance(a.slug, b.slug) / Math.max(a.slug.length, b.slug.length);
+    let shared = 0;
+    a.words.forEach(w => { if (b.words.has(w)) shared++; });
+    const overlap = 2 * shared / ((a.words.size + b.words.size) || 1);
+    return Math.max(edit, overlap);
+  }
+
+  function isAbsoluteUrl(href) {
+    return /^(?:https?:)?\/\//i.test(href);
+  }
+
+  /**
+   * Index the pages of a sitemap for checking links against it. Pages are
+   * matched on their canonical path, so query strings and #fragments on a
+   * link don't count against it.
+   * @param {string[]} urls - from parseSitemap
+   * @param {{domain?: string, canonical?: object}} [options]
+   * @returns {{size: number, check: function(string, string): ({suggestions: string[]}|null)}}
+   *   check(href, key) takes a link's href and grouping key; it returns null
+   *   when the page is listed or the link can't be judged offline (external,
+   *   page-relative, same-page), else up to three close matches written in
+   *   the link's own style (root-relative or absolute)
+   */
+  function createSitemapIndex(urls, options = {}) {
+    const domain = (options.domain || '').trim();
+    const canonical = Object.assign({}, options.canonical, { hostAware: false });
+    const hosts = new Set();
+    const pages = new Map();
+    (urls || []).forEach(url => {
+      const key = normalizeUrl(url, { domain, canonical });
+      if (!key) return;
+      const path = key.replace(/[?#].*$/, '') || '/';
+      if (pages.has(path)) return;
+      let relative = url;
+      if (isAbsoluteUrl(url)) {
+        try {
+          const parsed = new URL(url, 'https://placeholder.com');
+          hosts.add(stripWww(parsed.hostname.toLowerCase()));
+          relative = parsed.pathname + parsed.search;
+        } catch {
+          return;
+        }
+      }
+      pages.set(path, Object.assign({ path, url, relative }, slugInfo(path)));
+    });
+
+    function isSitePage(href) {
+      if (href.startsWith('/') && !href.startsWith('//')) return true;
+      if (!isAbsoluteUrl(href)) return false;
+      try {
+        const host = new URL(href, 'https://placeholder.com').hostname.toLowerCase();
+        return hosts.has(stripWww(host)) || (!!domain && isSiteHost(host, domain));
+      } catch {
+        return false;
+      }
+    }
+
+    function check(href, key) {
+      href = (href || '').trim();
+      if (!pages.size || !key || !isSitePage(href)) return null;
+      // Keys of links to another host of the site start with that host
+      const path = (key.startsWith('/') ? key : key.slice(key.indexOf('/'))).replace(/[?#].*$/, '') || '/';
+      if (pages.has(path)) return null;
+      const target = slugInfo(path);
+      const suggestions = Array.from(pages.values())
+        .map(page => ({ page, score: slugSimilarity(target, page) }))
+        .filter(s => s.score >= SITEMAP_MATCH)
+        .sort((a, b) => b.score - a.score || a.page.path.length - b.page.path.length)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(s => isAbsoluteUrl(href) || !isAbsoluteUrl(s.page.url) ? s.page.url : s.page.relative);
+      return { suggestions };
+    }
+
+    return { size: pages.size, check };
+  }
+
+  // ===== Link Classification =====
+  function isImageLink(a) {
+    const imgs = a.querySelectorAll('img');
+    if (imgs.length === 0) return false;
+    const textContent = Array.from(a.childNodes).reduce((txt, node) => {
+      if (node.nodeType === TEXT_NODE) return txt + node.textContent.trim();
+      if (node.nodeType === ELEMENT_NODE && node.tagName !== 'IMG' && !node.querySelector('img')) {
+        return txt + node.textContent.trim();
+      }
+      return txt;
+    }, '');
+    return textContent.length === 0;
+  }
+
+  /** What makes `a` a call-to-action (e.g. "class `btn`"), or null if it isn't one. */
+  function getCtaMatch(a) {
+    const cls = (a.className || '').toLowerCase();
+    const txt = (a.textContent || '').toLowerCase().trim();
+
+    const clsMatch = cls.match(/\b(btn|button|cta|shop-now|buy-now|add-to-cart)\b/);
+    if (clsMatch) return `class \`${clsMatch[1]}\``;
+    const txtMatch = txt.match(/^(shop|buy|order|add to cart|get it|check price|see price|view deal|view product|learn more)\b/i);
+    if (txtMatch) return `anchor text "${txtMatch[1]}"`;
+
+    const parentCls = (a.parentElement?.className || '').toLowerCase();
+    const parentMatch = parentCls.match(/\b(btn|button|cta|shop|call-to-action)\b/);
+    if (parentMatch) return `parent class \`${parentMatch[1]}\``;
+
+    return null;
+  }
+
+  function isCtaLink(a) {
+    return getCtaMatch(a) !== null;
+  }
+
+  function isInHeading(el) {
+    let cur = el;
+    while (cur) {
+      if (/^H[1-6]$/.test(cur.tagName)) return true;
+      cur = cur.parentElement;
+    }
+    return false;
+  }
+
+  function isInternalLink(href, domain) {
+    if (!href) return true;
+    if (/^[/#?]/.test(href) && !href.startsWith('//')) return true;
+    if (!domain) return !/^(?:http|\/\/)/.test(href);
+    try {
+      return isSiteHost(new URL(href, `https://${domain}/`).hostname, domain);
+    } catch { return true; }
+  }
+
+  function isExternalLink(href, domain) {
+    if (!domain) return false;
+    if (!href || (/^[/#]/.test(href) && !href.startsWith('//'))) return false;
+    try {
+      return !isSiteHost(new URL(href, `https://${domain}/`).hostname, domain);
+    } catch { return false; }
+  }
+
+  function getParentTag(el) {
+    let cur = el.parentElement;
+    while (cur) {
+      const t = cur.tagName.toLowerCase();
+      if (['p','li','td','th','h1','h2','h3','h4','h5','h6','blockquote','figcaption','dd','dt'].includes(t)) return t;
+      cur = cur.parentElement;
+    }
+    return 'div';
+  }
+
+  function getAncestorTags(el, root) {
+    const tags = [];
+    let cur = el.parentElement;
+    while (cur && cur !== root) {
+      tags.push(cur.tagName.toLowerCase());
+      cur = cur.parentElement;
+    }
+    return tags;
+  }
+
+  /** Word offset of every anchor in document order, plus the article's word count. */
+  function computeWordPositions(root) {
+    const positions = new Map();
+    let words = 0;
+    (function visit(node) {
+      for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === TEXT_NODE) {
+          words += (child.textContent.match(/\S+/g) || []).length;
+        } else if (child.nodeType === ELEMENT_NODE) {
+          if (child.tagName === 'A') positions.set(child, words);
+          visit(child);
+        }
+      }
+    })(root);
+    return { positions, wordCount: words };
+  }
+
+  // Template code is put back before the text is cut, so no placeholder is cut in half
+  function getContext(linkEl, placeholders) {
+    const parent = linkEl.parentElement;
+    if (!parent) return '';
+    // The link's own offset, not the first match of its text (comments aren't text)
+    let before = '';
+    for (let node = parent.firstChild; node && node !== linkEl; node = node.nextSibling) {
+      if (node.nodeType !== 8) before += node.textContent || '';
+    }
+    const text = restoreTemplateSyntax(parent.textContent || '', placeholders);
+    const linkText = restoreTemplateSyntax(linkEl.textContent || '', placeholders);
+    const idx = restoreTemplateSyntax(before, placeholders).length;
+    const start = Math.max(0, idx - 30);
+    const end = Math.min(text.length, idx + linkText.length + 30);
+    let ctx = text.slice(start, end).trim();
+    if (start > 0) ctx = '...' + ctx;
+    if (end < text.length) ctx += '...';
+    return ctx;
+  }
+
+  // ===== Anchor Text Checks =====
+  // Anchor text is a ranking signal: vague anchors waste it, the same keyword
+  // anchor repeated over and over looks over-optimized, and one anchor sent to
+  // several pages leaves search engines guessing which one it describes.
+  const DEFAULT_ANCHOR_CHECKS = {
+    genericPhrases: ['click here', 'here', 'this', 'read more', 'more', 'learn more', 'see more', 'continue reading',
+      'this page', 'this article', 'this post', 'link', 'go', 'website'],
+    maxRepeats: 3,        // the same exact anchor this many times is over-optimized (0 = off)
+    flagAmbiguous: true,  // one anchor text pointing at different URLs
+    maxWords: 12          // anchors longer than this many words (0 = off)
+  };
+
+  function normalizeAnchorCheckOptions(options) {
+    const a = Object.assign({}, DEFAULT_ANCHOR_CHECKS);
+    if (!options || typeof options !== 'object') return a;
+    const phrases = typeof options.genericPhrases === 'string' ? options.genericPhrases.split(',') : options.genericPhrases;
+    if (Array.isArray(phrases)) a.genericPhrases = phrases.map(normalizeAnchorText).filter(Boolean);
+    const maxRepeats = parseInt(options.maxRepeats);
+    if (maxRepeats >= 0) a.maxRepeats = maxRepeats;
+    const maxWords = parseInt(options.maxWords);
+    if (maxWords >= 0) a.maxWords = maxWords;
+    if (typeof options.flagAmbiguous === 'boolean') a.flagAmbiguous = options.flagAmbiguous;
+    return a;
+  }
+
+  // Case, spacing and surrounding punctuation don't make two anchors different
+  function normalizeAnchorText(text) {
+    return String(text).toLowerCase().replace(/\s+/g, ' ').trim()
+      .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+  }
+
+  function linkList(links) {
+    return links.map(linkNumber).join(', ');
+  }
+
+  /**
+   * Anchor text warnings for an article's text links.
+   * @param {object[]} links - from analyzeHtml
+   * @param {object} [options] - see DEFAULT_ANCHOR_CHECKS
+   * @returns {Array<{type: string, message: string, linkIds: number[]}>} types are
+   *   anchor-generic, anchor-repeated, anchor-ambiguous and anchor-long
+   */
+  function checkAnchorText(links, options) {
+    const a = normalizeAnchorCheckOptions(options);
+    const generic = new Set(a.genericPhrases);
+    const warnings = [];
+    const byAnchor = new Map();
+
+    links.forEach(link => {
+      if (link.isImageLink || link.isCtaLink || link.anchorText === '[empty]') return;
+      const text = normalizeAnchorText(link.anchorText);
+      if (!text) return;
+      if (!byAnchor.has(text)) byAnchor.set(text, []);
+      byAnchor.get(text).push(link);
+      const words = text.split(' ').length;
+      if (a.maxWords && words > a.maxWords) {
+        warnings.push({
+          type: 'anchor-long',
+          message: `Very long anchor (${words} words) on ${linkNumber(link)}: "${link.anchorText.slice(0, 60)}${link.anchorText.length > 60 ? '…' : ''}"`,
+          linkIds: [link.id]
+        });
+      }
+    });
+
+    byAnchor.forEach((anchorLinks, text) => {
+      const ids = anchorLinks.map(l => l.id);
+      if (generic.has(text)) {
+        warnings.push({
+          type: 'anchor-generic',
+          message: `Generic anchor "${anchorLinks[0].anchorText}" on ${linkList(anchorLinks)} — describe the target page instead`,
+          linkIds: ids
+        });
+        return;
+      }
+      const urls = Array.from(new Set(anchorLinks.map(l => l.normalizedHref)));
+      if (a.flagAmbiguous && urls.length > 1) {
+        warnings.push({
+          type: 'anchor-ambiguous',
+          message: `Anchor "${anchorLinks[0].anchorText}" points to ${urls.length} different URLs (${urls.join(', ')})`,
+          linkIds: ids
+        });
+      }
+      if (a.maxRepeats && anchorLinks.length >= a.maxRepeats) {
+        warnings.push({
+          type: 'anchor-repeated',
+          message: `Exact-match anchor "${anchorLinks[0].anchorText}" used ${anchorLinks.length} times (${linkList(anchorLinks)}) — looks over-optimized, vary the wording`,
+          linkIds: ids
+        });
+      }
+    });
+    return warnings;
+  }
+
+  // ===== rel Policy =====
+  // What the rel attribute of kept links should say. Every option is off by
+  // default, so output only changes once a site opts in.
+  const DEFAULT_REL_POLICY = {
+    sponsoredDomains: [],         // hosts (and their subdomains) whose links get rel="sponsored", e.g. affiliate networks
+    nofollowDomains: [],          // hosts whose links get rel="nofollow"; '*' = every external link
+    blankNoopener: false,         // target="_blank" links get "noopener noreferrer"
+    stripInternalNofollow: false, // internal links never need nofollow
+    normalizeRel: false           // lowercase and de-duplicate rel tokens on every link
+  };
+
+  function normalizeDomainList(list) {
+    const items = typeof list === 'string' ? list.split(/[\s,]+/) : list;
+    if (!Array.isArray(items)) return null;
+    return items
+      .map(d => String(d).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/?#].*$/, '').replace(/^www\./, ''))
+      .filter(Boolean);
+  }
+
+  function normalizeRelPolicy(options) {
+    const p = Object.assign({}, DEFAULT_REL_POLICY);
+    if (!options || typeof options !== 'object') return p;
+    for (const key of ['sponsoredDomains', 'nofollowDomains']) {
+      const list = normalizeDomainList(options[key]);
+      if (list) p[key] = list;
+    }
+    for (const key of ['blankNoopener', 'stripInternalNofollow', 'normalizeRel']) {
+      if (typeof options[key] === 'boolean') p[key] = options[key];
+    }
+    return p;
+  }
+
+  function isRelPolicyActive(p) {
+    return p.sponsoredDomains.length > 0 || p.nofollowDomains.length > 0 || p.blankNoopener || p.stripInternalNofollow || p.normalizeRel;
+  }
+
+  // Host of an absolute href, or '' for relative ones
+  function linkHost(href) {
+    if (!/^(?:https?:)?\/\//i.test(href || '')) return '';
+    try {
+      return new URL(href, 'https://placeholder.com').hostname.toLowerCase();
+    } catch { return ''; }
+  }
+
+  function matchesDomainList(host, list, external) {
+    return list.some(d => d === '*' ? external : !!host && isSiteHost(host, d));
+  }
+
+  /**
+   * Bring a kept link's rel attribute in line with the policy.
+   * @param {Element} a
+   * @param {object} link - link record (for href and id)
+   * @param {object} policy - see DEFAULT_REL_POLICY
+   * @param {string} [domain] - site domain, to tell internal links apart
+   * @returns {{id: number, href: string, from: string, to: string, notes: string[]}|null} the change, or null
+   */
+  function applyRelPolicy(a, link, policy, domain) {
+    const p = normalizeRelPolicy(policy);
+    const from = a.getAttribute('rel');
+    const tokens = (from || '').split(/\s+/).filter(Boolean);
+    const rel = Array.from(new Set(tokens.map(t => t.toLowerCase())));
+    const notes = [];
+    const add = (token, why) => {
+      if (rel.includes(token)) return;
+      rel.push(token);
+      notes.push(`added ${token} (${why})`);
+    };
+
+    const host = linkHost(link.href);
+    const external = !isInternalLink(link.href, domain || '');
+    if (matchesDomainList(host, p.sponsoredDomains, external)) add('sponsored', `${host || 'external'} is a sponsored domain`);
+    if (matchesDomainList(host, p.nofollowDomains, external)) add('nofollow', p.nofollowDomains.includes('*') ? 'external link' : `${host} is a nofollow domain`);
+    if (p.blankNoopener && (a.getAttribute('target') || '').toLowerCase() === '_blank') {
+      add('noopener', 'target="_blank"');
+      add('noreferrer', 'target="_blank"');
+    }
+    if (p.stripInternalNofollow && !external && rel.includes('nofollow')) {
+      rel.splice(rel.indexOf('nofollow'), 1);
+      notes.push('removed nofollow (internal link)');
+    }
+
+    const to = rel.join(' ');
+    if (!notes.length) {
+      if (!p.normalizeRel || from === null || to === from) return null;
+      notes.push(rel.length < tokens.length ? 'removed duplicate tokens' : 'normalized tokens');
+    }
+    if (to) a.setAttribute('rel', to);
+    else a.removeAttribute('rel');
+    return { id: link.id, href: link.href, from: from || '', to, notes };
+  }
+
+  // ===== Attribute Hygiene =====
+  // Junk that editors and WYSIWYG tools leave on links. One pass over the
+  // cleaned DOM (shared by the engine and the preview path); each rule can be
+  // switched off and its removals are counted separately.
+  const ATTRIBUTE_RULES = {
+    targetSelf: { label: 'target="_self"', description: 'removed from links (it\'s the browser default)' },
+    emptyTitle: { label: 'empty title', description: 'empty title="" removed from links' },
+    editorData: { label: 'editor data attributes', description: 'data-mce-*, data-saferedirecturl and similar editor leftovers removed from links' },
+    editorIds: { label: 'editor ids', description: 'WYSIWYG-generated ids removed from links (ids a #fragment link points at are kept)' },
+    styleSpans: { label: 'style-only spans', description: '<span style="…"> wrappers (e.g. from Google Docs) unwrapped inside links' }
+  };
+  const DEFAULT_ATTRIBUTE_RULES = { targetSelf: true, emptyTitle: true, editorData: true, editorIds: true, styleSpans: true };
+
+  const EDITOR_DATA_ATTR = /^data-(?:mce-|cke-|saferedirecturl$|ved$|sheets-|pm-slice$)/;
+  const EDITOR_ID = /^(?:docs-internal-guid-|_?toc_?\d|_hlk\d|mce_\d|yui_|ext-gen|ispasted$)/i;
+
+  function normalizeAttributeRules(options) {
+    const r = Object.assign({}, DEFAULT_ATTRIBUTE_RULES);
+    if (!options || typeof options !== 'object') return r;
+    for (const key of Object.keys(ATTRIBUTE_RULES)) {
+      if (typeof options[key] === 'boolean') r[key] = options[key];
+    }
+    return r;
+  }
+
+  // Ids that a same-page link points at must survive the editor id rule
+  function referencedIds(root) {
+    return new Set(Array.from(root.querySelectorAll('a[href^="#"]')).map(a => a.getAttribute('href').slice(1)));
+  }
+
+  // The rule (if any) that removes this attribute from a link
+  function attributeRuleFor(name, value, rules, keepIds) {
+    if (rules.targetSelf && name === 'target' && value === '_self') return 'targetSelf';
+    if (rules.emptyTitle && name === 'title' && !value.trim()) return 'emptyTitle';
+    if (rules.editorData && EDITOR_DATA_ATTR.test(name)) return 'editorData';
+    if (rules.editorIds && name === 'id' && EDITOR_ID.test(value) && !keepIds.has(value)) return 'editorIds';
+    return null;
+  }
+
+  function isStyleSpan(attrNames) {
+    return attrNames.length > 0 && attrNames.every(name => name === 'style');
+  }
+
+  /**
+   * Strip junk attributes from every link under `root` and unwrap style-only
+   * spans inside them.
+   * @param {Element} root
+   * @param {object} [rules] - rule id → enabled (see ATTRIBUTE_RULES)
+   * @returns {Object<string, number>} removals per rule id
+   */
+  function cleanAttributes(root, rules) {
+    const r = normalizeAttributeRules(rules);
+    const keepIds = referencedIds(root);
+    const counts = {};
+    Object.keys(ATTRIBUTE_RULES).forEach(id => { counts[id] = 0; });
+    root.querySelectorAll('a').forEach(a => {
+      Array.from(a.attributes).forEach(attr => {
+        const rule = attributeRuleFor(attr.name, attr.value, r, keepIds);
+        if (rule) {
+          a.removeAttribute(attr.name);
+          counts[rule]++;
+        }
+      });
+      if (!r.styleSpans) return;
+      a.querySelectorAll('span').forEach(span => {
+        if (isStyleSpan(Array.from(span.attributes).map(attr => attr.name))) {
+          unwrapElement(span);
+          counts.styleSpans++;
+        }
+      });
+    });
+    return counts;
+  }
+
+  // ===== Link Density =====
+  // Links are counted per paragraph, per list, per table and per
+  // heading-delimited section, so a list of twenty links or a section of many
+  // short linked paragraphs is caught as well as one crowded paragraph.
+  // Each threshold can be switched off with 0.
+  const DEFAULT_DENSITY = {
+    paragraph: 5,    // links in one <p>
+    list: 8,         // links in one list, nested lists included
+    table: 10,       // links in one table
+    section: 12,     // links between two headings
+    per100Words: 3   // links per 100 words of a section
+  };
+
+  // Sections shorter than this are too small for a per-100-words rate to mean much
+  const MIN_RATE_WORDS = 50;
+  const HEADING = /^H[1-6]$/;
+
+  function normalizeDensityOptions(options) {
+    const d = Object.assign({}, DEFAULT_DENSITY);
+    if (!options || typeof options !== 'object') return d;
+    for (const key of Object.keys(DEFAULT_DENSITY)) {
+      const value = key === 'per100Words' ? parseFloat(options[key]) : parseInt(options[key]);
+      if (value >= 0) d[key] = value;
+    }
+    return d;
+  }
+
+  function wordCount(text) {
+    return (text.match(/\S+/g) || []).length;
+  }
+
+  // Top-level nodes of each heading-delimited section. Wrappers that contain
+  // a heading are descended into, so <section><h2>… still splits there.
+  function collectSections(container) {
+    const sections = [{ heading: null, nodes: [] }];
+    (function visit(parent) {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === ELEMENT_NODE && HEADING.test(node.tagName)) {
+          sections.push({ heading: node, nodes: [node] });
+        } else if (node.nodeType === ELEMENT_NODE && node.querySelector('h1, h2, h3, h4, h5, h6')) {
+          visit(node);
+        } else if (node.nodeType === ELEMENT_NODE || node.textContent.trim()) {
+          sections[sections.length - 1].nodes.push(node);
+        }
+      });
+    })(container);
+    return sections.filter(s => s.heading || s.nodes.length);
+  }
+
+  /**
+   * The regions link density is measured over: every paragraph, outermost
+   * list and table, and heading-delimited section.
+   * @param {Element} container - parsed article
+   * @param {Map<Element, object>} linkOf - anchor element → link record
+   * @param {Array} [placeholders] - template placeholders, restored in labels
+   * @returns {Array<{kind: string, label: string, words: number, linkIds: number[], nodes: Node[]}>}
+   *   label is a text snippet (a section's heading text, '' before the first heading)
+   */
+  function densityRegions(container, linkOf, placeholders) {
+    const linkIds = nodes => {
+      const ids = [];
+      nodes.forEach(node => {
+        if (node.nodeType !== ELEMENT_NODE) return;
+        const anchors = node.matches('a[href]') ? [node] : Array.from(node.querySelectorAll('a[href]'));
+        anchors.forEach(a => { if (linkOf.has(a)) ids.push(linkOf.get(a).id); });
+      });
+      return ids;
+    };
+    const region = (kind, nodes, label) => ({
+      kind,
+      label: restoreTemplateSyntax(label.replace(/\s+/g, ' ').trim(), placeholders),
+      words: nodes.reduce((n, node) => n + wordCount(node.textContent || ''), 0),
+      linkIds: linkIds(nodes),
+      nodes
+    });
+
+    const regions = [];
+    container.querySelectorAll('p').forEach(p => regions.push(region('paragraph', [p], p.textContent)));
+    container.querySelectorAll('ul, ol, dl').forEach(list => {
+      if (!list.parentElement.closest('ul, ol, dl')) regions.push(region('list', [list], list.textContent));
+    });
+    container.querySelectorAll('table').forEach(table => {
+      if (!table.parentElement.closest('table')) regions.push(region('table', [table], table.textContent));
+    });
+    collectSections(container).forEach(s =>
+      regions.push(region('section', s.nodes, s.heading ? s.heading.textContent : '')));
+    return regions;
+  }
+
+  /**
+   * Score regions (from densityRegions) against the density thresholds.
+   * @param {object[]} regions
+   * @param {object} [options] - see DEFAULT_DENSITY
+   * @returns {{heat: number[], warnings: object[]}} heat per region is its
+   *   link count (or rate) over the threshold, 1 = at the limit; warnings
+   *   are {type: 'density', message, linkIds} for regions at or over it
+   */
+  function checkLinkDensity(regions, options) {
+    const d = normalizeDensityOptions(options);
+    const heat = [];
+    const warnings = [];
+    regions.forEach(r => {
+      const count = r.linkIds.length;
+      const rate = r.words ? count * 100 / r.words : 0;
+      const rated = r.kind === 'section' && d.per100Words > 0 && r.words >= MIN_RATE_WORDS;
+      const byCount = d[r.kind] > 0 ? count / d[r.kind] : 0;
+      const byRate = rated ? rate / d.per100Words : 0;
+      heat.push(Math.max(byCount, byRate));
+      if (byCount < 1 && byRate < 1) return;
+
+      const parts = [];
+      if (byCount >= 1 || !rated) parts.push(`${count} links`);
+      if (byRate >= 1) parts.push(`${rate.toFixed(1)} per 100 words`);
+      const where = r.kind === 'section'
+        ? (r.label ? `section "${r.label.slice(0, 60)}"` : 'the opening section (before the first heading)')
+        : `${r.kind}: "${r.label.slice(0, 60).trim()}..."`;
+      warnings.push({ type: 'density', message: `High link density (${parts.join(', ')}) in ${where}`, linkIds: r.linkIds.slice() });
+    });
+    return { heat, warnings };
+  }
+
+  // ===== Analysis =====
+  /**
+   * Find every link in an article and group them by destination.
+   * @param {string} html - Article HTML fragment
+   * @param {{domain?: string, canonical?: object, anchors?: object, density?: object, redirects?: Array<[string, string]>, sitemap?: string[], templates?: Array, document?: Document}} [options]
+   *   `redirects` are [old, new] pairs: links are grouped by their final destination.
+   *   `sitemap` lists the site's pages (see parseSitemap): internal links to
+   *   other pages get `notInSitemap: {suggestions}` and a warning.
+   *   `anchors` tunes the anchor text checks (see DEFAULT_ANCHOR_CHECKS) and
+   *   `density` the link density thresholds (see DEFAULT_DENSITY).
+   *   `templates` picks the template dialects to shield (see protectTemplateSyntax).
+   *   `linkId(anchorEl, rawIndex)` picks each link's id (default: its position
+   *   among the links), so a re-analysis can keep the ids of known anchors.
+   * @returns {{links: object[], groups: object, warnings: object[], density: object[], title: string, stats: object}}
+   *   density lists the regions from densityRegions (without their nodes);
+   *   each link's `section` is {index, heading} of the section it sits in
+   */
+  function analyzeHtml(html, options = {}) {
+    const domain = (options.domain || '').trim();
+    const { container, placeholders } = parseFragment(html, options);
+    const resolveRedirect = createRedirectResolver(options.redirects, { domain, canonical: options.canonical });
+    const warnedRedirects = new Set();
+    const sitemap = createSitemapIndex(options.sitemap, { domain, canonical: options.canonical });
+
+    const h1 = container.querySelector('h1');
+    const title = h1 ? restoreTemplateSyntax(h1.textContent.trim(), placeholders) : '';
+
+    const allAnchors = container.querySelectorAll('a[href]');
+    const { positions, wordCount } = computeWordPositions(container);
+    const links = [];
+    const linkOf = new Map();
+    const groups = {};
+    const warnings = [];
+
+    allAnchors.forEach((a, rawIndex) => {
+      const rawHref = a.getAttribute('href');
+      const href = restoreTemplateSyntax(rawHref, placeholders);
+      const templateKey = templateHrefKey(rawHref, placeholders);
+      const canonical = templateKey
+        ? { key: templateKey, steps: ['grouped by template expression'] }
+        : canonicalizeUrl(href, { domain, canonical: options.canonical });
+
+      if (!canonical) {
+        if (href && href !== '#') {
+          warnings.push({ type: 'broken', message: `Broken/invalid link: href="${href}" — "${(a.textContent||'').trim().slice(0,40)}"` });
+        }
+        return;
+      }
+
+      // Old slugs count as their final destination
+      const redirect = templateKey ? null : resolveRedirect(canonical.key);
+      const normalized = redirect && !redirect.loop ? redirect.key : canonical.key;
+      if (redirect && !warnedRedirects.has(href)) {
+        warnedRedirects.add(href);
+        warnings.push(redirect.loop
+          ? { type: 'redirect', message: `Redirect loop: "${href}" → ${redirect.hops.map(h => `"${h}"`).join(' → ')}` }
+          : { type: 'redirect', message: `Redirected link: "${href}" → "${redirect.href}"${redirect.hops.length > 1 ? ` (${redirect.hops.length} hops)` : ''} — "${(a.textContent||'').trim().slice(0,40)}"` });
+      }
+
+      const img = isImageLink(a);
+      const ctaMatch = img ? null : getCtaMatch(a);
+      const cta = ctaMatch !== null;
+      const heading = isInHeading(a);
+      const external = !templateKey && isExternalLink(href, domain);
+      const parentTag = getParentTag(a);
+      const context = getContext(a, placeholders);
+      const anchorText = img ? '[image]' : (restoreTemplateSyntax((a.textContent || '').trim(), placeholders) || '[empty]');
+
+      const link = {
+        id: options.linkId ? options.linkId(a, rawIndex) : links.length,
+        rawIndex,
+        href,
+        normalizedHref: normalized,
+        canonicalSteps: canonical.steps,
+        redirect: redirect && !redirect.loop ? { to: redirect.href, hops: redirect.hops } : null,
+        section: null,
+        notInSitemap: templateKey || external ? null : sitemap.check(href, normalized),
+        fix: null,
+        textEdit: null,
+        isTemplateHref: !!templateKey,
+        anchorText,
+        isImageLink: img,
+        isCtaLink: cta,
+        ctaMatch,
+        isInHeading: heading,
+        isExternal: external,
+        parentTag,
+        ancestorTags: getAncestorTags(a, container),
+        wordIndex: positions.get(a) || 0,
+        context,
+        keep: true,
+        reason: null,
+        rel: a.getAttribute('rel') || ''
+      };
+
+      links.push(link);
+      linkOf.set(a, link);
+
+      if (!groups[normalized]) {
+        groups[normalized] = {
+          normalizedHref: normalized,
+          originalHref: href,
+          variants: [],
+          links: [],
+          imageCount: 0,
+          textCount: 0,
+          ctaCount: 0,
+          inHeadingCount: 0
+        };
+      }
+      const g = groups[normalized];
+      g.links.push(link);
+      // Distinct spellings that were merged into this group, with how they got here
+      if (!g.variants.some(v => v.href === href)) {
+        const steps = link.redirect ? canonical.steps.concat(`redirects to ${link.redirect.to}`) : canonical.steps;
+        g.variants.push({ href, steps });
+      }
+      if (img) g.imageCount++;
+      else if (cta) g.ctaCount++;
+      else g.textCount++;
+      if (heading) g.inHeadingCount++;
+    });
+
+    // Edge case warnings
+    for (const [url, group] of Object.entries(groups)) {
+      if (group.textCount === 0 && group.ctaCount === 0 && group.imageCount > 0) {
+        warnings.push({ type: 'image-only', message: `"${url}" only appears as image links (${group.imageCount}). Consider adding a text link for SEO.` });
+      }
+      if (group.inHeadingCount > 0) {
+        warnings.push({ type: 'heading', message: `"${url}" has ${group.inHeadingCount} link(s) inside heading tags — consider removing.` });
+      }
+    }
+
+    // Links to pages the sitemap doesn't list, one warning per href
+    const missing = new Map();
+    links.filter(l => l.notInSitemap).forEach(l => {
+      if (!missing.has(l.href)) missing.set(l.href, []);
+      missing.get(l.href).push(l);
+    });
+    missing.forEach((list, href) => {
+      const { suggestions } = list[0].notInSitemap;
+      warnings.push({
+        type: 'sitemap',
+        message: `Not in sitemap (probably broken): "${href}"${list.length > 1 ? ` (${list.length} links)` : ''} — "${list[0].anchorText.slice(0, 40)}"`
+          + (suggestions.length ? ` — did you mean ${suggestions.map(s => `"${s}"`).join(' or ')}?` : ' — no close match'),
+        linkIds: list.map(l => l.id),
+        suggestions
+      });
+    });
+
+    // Link density per paragraph, list, table and section
+    const regions = densityRegions(container, linkOf, placeholders);
+    const linkById = new Map(links.map(l => [l.id, l]));
+    regions.filter(r => r.kind === 'section').forEach((r, index) => {
+      const section = { index, heading: r.label };
+      r.linkIds.forEach(id => { linkById.get(id).section = section; });
+    });
+    const density = regions.map(r => ({ kind: r.kind, label: r.label, words: r.words, linkIds: r.linkIds }));
+    const densityWarnings = checkLinkDensity(density, options.density).warnings;
+    warnings.push(...densityWarnings);
+
+    const anchorWarnings = checkAnchorText(links, options.anchors);
+    warnings.push(...anchorWarnings);
+
+    const totalLinks = links.length;
+    const uniqueUrls = Object.keys(groups).length;
+    const imageLinks = links.filter(l => l.isImageLink).length;
+    const ctaLinks = links.filter(l => l.isCtaLink).length;
+    const textLinks = totalLinks - imageLinks - ctaLinks;
+    const externalLinks = links.filter(l => l.isExternal).length;
+    const redirectedLinks = links.filter(l => l.redirect).length;
+    const templateLinks = links.filter(l => l.isTemplateHref).length;
+    const notInSitemap = links.filter(l => l.notInSitemap).length;
+
+    return {
+      links, groups, warnings, density, title,
+      stats: {
+        totalLinks, uniqueUrls, imageLinks, ctaLinks, textLinks, externalLinks, redirectedLinks, templateLinks, notInSitemap,
+        anchorIssues: anchorWarnings.length, denseRegions: densityWarnings.length, wordCount
+      }
+    };
+  }
+
+  // ===== Auto-Strip Logic =====
+  function hasDifferentAnchors(textLinks) {
+    if (textLinks.length < 2) return false;
+    const normalized = textLinks.map(l => l.anchorText.toLowerCase().trim());
+    return new Set(normalized).size > 1;
+  }
+
+  // ===== Auto-Strip Rules =====
+  // Declarative, JSON-serializable policy. The defaults reproduce the classic
+  // behaviour: keep the first text link per URL, strip the rest, and keep both
+  // when a URL appears exactly twice with different anchors.
+  const DEFAULT_RULES = {
+    maxPerUrl: 1,                        // text links kept per URL...
+    perWords: 0,                         // ...per this many words (0 = per article)
+    prefer: 'first',                     // 'first' | 'descriptive' — which occurrences win
+    keepTwoDifferentAnchors: true,       // exactly 2 occurrences with different anchors: keep both
+    stripInHeadings: false,              // always strip text links inside h1–h6
+    neverStripIn: [],                    // tag names whose links are never stripped, e.g. ['table', 'blockquote']
+    sectionBudget: 0,                    // links kept per heading-delimited section (0 = no budget)
+    rewriteRedirects: false,             // point kept links at their final redirect destination
+    lossless: false,                     // splice the source instead of re-serializing the parsed DOM
+    canonical: DEFAULT_CANONICAL,        // how hrefs are grouped (see canonicalizeUrl)
+    anchors: DEFAULT_ANCHOR_CHECKS,      // anchor text warnings (see checkAnchorText)
+    density: DEFAULT_DENSITY,            // link density warnings (see checkLinkDensity)
+    rel: DEFAULT_REL_POLICY,             // rel attributes of kept links (see applyRelPolicy)
+    attributes: DEFAULT_ATTRIBUTE_RULES  // junk attribute cleanup (see cleanAttributes)
+  };
+
+  // Short names for the rule that decided a link (link.reason.rule)
+  const RULE_LABELS = {
+    image: 'image link (always kept)',
+    cta: 'CTA link (always kept)',
+    container: 'inside protected element',
+    heading: 'inside heading',
+    'two-anchors': '2 occurrences, different anchors',
+    unique: 'only link to URL',
+    first: 'first occurrence',
+    descriptive: 'most descriptive anchor',
+    limit: 'over per-URL limit',
+    'section-budget': 'over section link budget',
+    manual: 'manual decision'
+  };
+
+  const VAGUE_ANCHOR_WORDS = new Set(['click', 'here', 'this', 'that', 'read', 'more', 'link', 'page', 'article', 'post', 'see', 'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for']);
+
+  /** Merge user rules over the defaults, dropping unknown keys and bad values. */
+  function normalizeRules(rules) {
+    const r = Object.assign({}, DEFAULT_RULES, {
+      canonical: normalizeCanonicalOptions(rules && rules.canonical),
+      anchors: normalizeAnchorCheckOptions(rules && rules.anchors),
+      density: normalizeDensityOptions(rules && rules.density),
+      rel: normalizeRelPolicy(rules && rules.rel),
+      attributes: normalizeAttributeRules(rules && rules.attributes)
+    });
+    if (!rules || typeof rules !== 'object') return r;
+    const maxPerUrl = parseInt(rules.maxPerUrl);
+    if (maxPerUrl >= 1) r.maxPerUrl = maxPerUrl;
+    const perWords = parseInt(rules.perWords);
+    if (perWords >= 0) r.perWords = perWords;
+    const sectionBudget = parseInt(rules.sectionBudget);
+    if (sectionBudget >= 0) r.sectionBudget = sectionBudget;
+    if (rules.prefer === 'first' || rules.prefer === 'descriptive') r.prefer = rules.prefer;
+    if (typeof rules.keepTwoDifferentAnchors === 'boolean') r.keepTwoDifferentAnchors = rules.keepTwoDifferentAnchors;
+    if (typeof rules.stripInHeadings === 'boolean') r.stripInHeadings = rules.stripInHeadings;
+    if (typeof rules.rewriteRedirects === 'boolean') r.rewriteRedirects = rules.rewriteRedirects;
+    if (typeof rules.lossless === 'boolean') r.lossless = rules.lossless;
+    const never = typeof rules.neverStripIn === 'string' ? rules.neverStripIn.split(',') : rules.neverStripIn;
+    if (Array.isArray(never)) {
+      r.neverStripIn = never.map(t => String(t).trim().toLowerCase()).filter(t => /^[a-z][a-z0-9-]*$/.test(t));
+    }
+    return r;
+  }
+
+  /** Higher = more descriptive: distinct meaningful words, then length. */
+  function anchorScore(anchorText) {
+    const words = anchorText.toLowerCase().match(/[a-z0-9\u00C0-\uFFFF]+/g) || [];
+    const meaningful = new Set(words.filter(w => w.length > 1 && !VAGUE_ANCHOR_WORDS.has(w)));
+    return meaningful.size * 1000 + Math.min(anchorText.length, 999);
+  }
+
+  function linkNumber(link) {
+    return `#${link.id + 1}`;
+  }
+
+  /**
+   * Record a keep/strip decision. `reason` is machine-readable: the rule id,
+   * the ids of the links it was weighed against, and a sentence for humans.
+   */
+  function decide(link, keep, rule, message, relatedIds = []) {
+    link.keep = keep;
+    link.reason = { rule, keep, relatedIds, message };
+  }
+
+  /**
+   * Set `keep` and `reason` on every link record in `groups` according to
+   * `rules` (see DEFAULT_RULES). Returns `groups`.
+   */
+  function applyAutoStrip(groups, rules) {
+    const r = normalizeRules(rules);
+
+    for (const group of Object.values(groups)) {
+      const candidates = [];
+
+      for (const link of group.links) {
+        const protectedBy = r.neverStripIn.find(t => (link.ancestorTags || []).includes(t));
+        if (link.isImageLink) {
+          decide(link, true, 'image', 'protected: image link');
+        } else if (link.isCtaLink) {
+          decide(link, true, 'cta', `protected: CTA ${link.ctaMatch || 'link'}`);
+        } else if (protectedBy) {
+          decide(link, true, 'container', `protected: inside <${protectedBy}>`);
+        } else if (r.stripInHeadings && link.isInHeading) {
+          const tag = (link.ancestorTags || []).find(t => /^h[1-6]$/.test(t)) || 'heading';
+          decide(link, false, 'heading', `stripped: inside <${tag}> (links in headings are always stripped)`);
+        } else {
+          candidates.push(link);
+        }
+      }
+
+      if (r.keepTwoDifferentAnchors && candidates.length === 2 && hasDifferentAnchors(candidates)) {
+        // 2 text occurrences with different anchor text: keep both, let user decide
+        candidates.forEach((l, i) => decide(l, true, 'two-anchors',
+          'kept: 2 occurrences with different anchors', [candidates[1 - i].id]));
+        continue;
+      }
+
+      if (candidates.length === 1) {
+        decide(candidates[0], true, 'unique', 'kept: only text link to this URL');
+        continue;
+      }
+
+      // Pick winners in preference order, then enforce the budget per word window
+      const ordered = r.prefer === 'descriptive'
+        ? candidates.slice().sort((a, b) => anchorScore(b.anchorText) - anchorScore(a.anchorText) || a.id - b.id)
+        : candidates;
+      const preferred = r.prefer === 'descriptive' ? 'most descriptive anchor' : 'first occurrence';
+      const kept = [];
+      for (const link of ordered) {
+        const blocking = r.perWords > 0
+          ? kept.filter(k => Math.abs(k.wordIndex - link.wordIndex) < r.perWords)
+          : kept;
+        if (blocking.length < r.maxPerUrl) {
+          kept.push(link);
+          decide(link, true, r.prefer, `kept: ${preferred}`);
+        } else {
+          const scope = r.perWords > 0 ? `, within ${r.perWords} words` : '';
+          const message = r.maxPerUrl === 1
+            ? `duplicate of link ${linkNumber(blocking[0])} (${preferred}${scope})`
+            : `over limit: ${r.maxPerUrl} links to this URL already kept (${blocking.map(linkNumber).join(', ')}${scope})`;
+          decide(link, false, 'limit', message, blocking.map(k => k.id));
+        }
+      }
+    }
+    if (r.sectionBudget > 0) applySectionBudget(groups, r.sectionBudget);
+    return groups;
+  }
+
+  // Decisions the section budget may overturn: protected links stay kept
+  const BUDGET_STRIPPABLE = new Set(['two-anchors', 'unique', 'first', 'descriptive']);
+
+  /**
+   * Strip kept text links from every section holding more than `budget` kept
+   * links. Links to URLs that stay kept somewhere else in the article go
+   * first; after them, links whose URL the article then no longer links at
+   * all. Within each tier the latest link goes first.
+   */
+  function applySectionBudget(groups, budget) {
+    const links = [].concat(...Object.values(groups).map(g => g.links));
+    const sections = new Map();
+    links.forEach(l => {
+      if (!l.section) return;
+      if (!sections.has(l.section.index)) sections.set(l.section.index, []);
+      sections.get(l.section.index).push(l);
+    });
+
+    sections.forEach(members => {
+      const { heading } = members[0].section;
+      const where = heading ? `section "${heading.slice(0, 40)}"` : 'the opening section';
+      // Ranked afresh after every strip, as each one can leave a URL's last kept link behind
+      for (let excess = members.filter(l => l.keep).length - budget; excess > 0; excess--) {
+        const next = members
+          .filter(l => l.keep && BUDGET_STRIPPABLE.has(l.reason.rule))
+          .map(link => ({ link, keptElsewhere: groups[link.normalizedHref].links.filter(l => l !== link && l.keep) }))
+          .sort((a, b) => Number(!a.keptElsewhere.length) - Number(!b.keptElsewhere.length) || b.link.wordIndex - a.link.wordIndex)[0];
+        if (!next) break;
+        const why = next.keptElsewhere.length ? 'this URL is still kept elsewhere' : 'the article no longer links this URL';
+        decide(next.link, false, 'section-budget', `stripped: ${where} is over its budget of ${budget} links (${why})`,
+          next.keptElsewhere.map(l => l.id));
+      }
+    });
+  }
+
+  /** Mark a reviewer's toggle (or bulk action) as the reason for a link's state. */
+  function applyManualDecision(link, keep, message) {
+    decide(link, keep, 'manual', message || (keep ? 'kept manually' : 'stripped manually'));
+    return link;
+  }
+
+  function applyKeepAll(links) {
+    links.forEach(l => applyManualDecision(l, true, 'kept: Keep All'));
+    return links;
+  }
+
+  // ===== HTML Generation =====
+  /**
+   * Re-parse `html` and call `callback(anchorEl, linkRecord)` for every link
+   * record's anchor. Anchors are found by the record's `rawIndex` (its place
+   * among the a[href] elements when analyzed) and must still have its href;
+   * records without an anchor in `html` (rawIndex -1 for links added in an
+   * edited preview) are skipped.
+   */
+  function processContainer(html, links, callback, options) {
+    const { container, placeholders } = parseFragment(html, options);
+    const anchors = container.querySelectorAll('a[href]');
+    links.forEach(link => {
+      const a = anchors[link.rawIndex];
+      if (a && restoreTemplateSyntax(a.getAttribute('href'), placeholders) === link.href) callback(a, link);
+    });
+    return { container, placeholders };
+  }
+
+  function unwrapElement(el) {
+    const parent = el.parentNode;
+    while (el.firstChild) parent.insertBefore(el.firstChild, el);
+    parent.removeChild(el);
+  }
+
+  /** Point a kept link at its final redirect destination. Returns the rewrite, or null. */
+  function rewriteRedirect(a, link) {
+    if (!link.keep || !link.redirect || !link.redirect.to) return null;
+    const from = a.getAttribute('href');
+    if (from === link.redirect.to) return null;
+    a.setAttribute('href', link.redirect.to);
+    return { id: link.id, from, to: link.redirect.to };
+  }
+
+  /** Point a kept link at the fix chosen for it (`link.fix.to`). Returns the rewrite, or null. */
+  function rewriteLinkFix(a, link) {
+    if (!link.keep || !link.fix || !link.fix.to) return null;
+    const from = a.getAttribute('href');
+    if (from === link.fix.to) return null;
+    a.setAttribute('href', link.fix.to);
+    return { id: link.id, from, to: link.fix.to };
+  }
+
+  /** Replace a kept text link's anchor with `link.textEdit`. Returns the edit, or null. */
+  function rewriteLinkText(a, link) {
+    if (!link.keep || link.isImageLink || typeof link.textEdit !== 'string' || link.textEdit === link.anchorText) return null;
+    if (a.textContent !== link.textEdit) a.textContent = link.textEdit;
+    return { id: link.id, from: link.anchorText, to: link.textEdit };
+  }
+
+  // ===== Lossless Output =====
+  // innerHTML re-serializes everything it touches (quotes, entities, void
+  // tags, misnesting). Lossless mode instead edits the source text: it finds
+  // each anchor's start/end tag offsets and cuts only those bytes.
+
+  // Elements whose content the HTML parser treats as text, not markup
+  const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes']);
+  const TAG_OPEN = /<(\/?)([A-Za-z][^\s/>]*)/y;
+  const ATTR_NAME = /[^\s"'>/=][^\s"'>/=]*/y;
+
+  // Parse the attributes of a tag starting at `pos` (just past its name).
+  // Returns { attrs, end } with end just past the closing '>'.
+  function scanAttributes(html, pos) {
+    const attrs = [];
+    let i = pos;
+    while (i < html.length) {
+      const leadStart = i;
+      while (i < html.length && /[\s/]/.test(html[i])) i++;
+      if (i >= html.length) break;
+      if (html[i] === '>') return { attrs, end: i + 1 };
+
+      ATTR_NAME.lastIndex = i;
+      const name = ATTR_NAME.exec(html);
+      if (!name) { i++; continue; }
+      const attr = { name: name[0].toLowerCase(), leadStart, start: i, valueStart: -1, valueEnd: -1, quote: '', end: 0 };
+      i += name[0].length;
+
+      let j = i;
+      while (j < html.length && /\s/.test(html[j])) j++;
+      if (html[j] === '=') {
+        j++;
+        while (j < html.length && /\s/.test(html[j])) j++;
+        const quote = html[j] === '"' || html[j] === "'" ? html[j] : '';
+        if (quote) {
+          const close = html.indexOf(quote, j + 1);
+          attr.valueStart = j + 1;
+          attr.valueEnd = close < 0 ? html.length : close;
+          i = close < 0 ? html.length : close + 1;
+        } else {
+          attr.valueStart = j;
+          while (j < html.length && !/[\s>]/.test(html[j])) j++;
+          attr.valueEnd = j;
+          i = j;
+        }
+        attr.quote = quote;
+      }
+      attr.end = i;
+      // Like the parser, the first of duplicate attributes wins
+      if (!attrs.some(a => a.name === attr.name)) attrs.push(attr);
+    }
+    return { attrs, end: html.length };
+  }
+
+  // Walk the tags of an HTML source in order, skipping comments, doctypes and
+  // the content of raw-text elements. Calls visit({name, closing, start, end, attrs})
+  // with start/end bounding the whole tag.
+  function scanTags(html, visit) {
+    let lower = null;
+    let i = 0;
+    while ((i = html.indexOf('<', i)) !== -1) {
+      if (html.startsWith('<!--', i)) {
+        const close = html.indexOf('-->', i + 4);
+        i = close < 0 ? html.length : close + 3;
+        continue;
+      }
+      if (html[i + 1] === '!' || html[i + 1] === '?') {
+        const close = html.indexOf('>', i);
+        i = close < 0 ? html.length : close + 1;
+        continue;
+      }
+      TAG_OPEN.lastIndex = i;
+      const tag = TAG_OPEN.exec(html);
+      if (!tag) { i++; continue; }
+
+      const closing = tag[1] === '/';
+      const name = tag[2].toLowerCase();
+      const { attrs, end } = scanAttributes(html, i + tag[0].length);
+      visit({ name, closing, start: i, end, attrs });
+
+      if (!closing && RAW_TEXT_TAGS.has(name)) {
+        if (!lower) lower = html.toLowerCase();
+        const close = lower.indexOf(`</${name}`, end);
+        i = close < 0 ? html.length : close;
+        continue;
+      }
+      i = end;
+    }
+  }
+
+  /**
+   * Source offsets of every <a> element, in document order.
+   * @param {string} html
+   * @returns {Array<{start: number, end: number, closeStart: number, closeEnd: number, attrs: object[]}>}
+   *   start/end bound the start tag, closeStart/closeEnd the end tag (equal
+   *   when the anchor is closed implicitly); attrs carry name and value offsets
+   */
+  function scanAnchors(html) {
+    const anchors = [];
+    let open = null;
+    scanTags(html, ({ name, closing, start, end, attrs }) => {
+      if (name !== 'a') return;
+      if (closing) {
+        if (open) { open.closeStart = start; open.closeEnd = end; open = null; }
+      } else {
+        // A new <a> implicitly closes one that is still open
+        if (open) { open.closeStart = open.closeEnd = start; }
+        open = { start, end, closeStart: html.length, closeEnd: html.length, attrs };
+        anchors.push(open);
+      }
+    });
+    return anchors;
+  }
+
+  function escapeAttributeValue(value, quote) {
+    const escaped = value.replace(/&/g, '&amp;');
+    return quote === "'" ? escaped.replace(/'/g, '&#39;') : escaped.replace(/"/g, '&quot;');
+  }
+
+  function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+  }
+
+  // Source edit that sets a scanned attribute to `value`, keeping its quote style
+  function attributeEdit(attr, value) {
+    const quote = attr.quote || '"';
+    const escaped = escapeAttributeValue(value, quote);
+    return attr.valueStart < 0
+      ? { start: attr.end, end: attr.end, text: `=${quote}${escaped}${quote}` }
+      : attr.quote
+        ? { start: attr.valueStart, end: attr.valueEnd, text: escaped }
+        : { start: attr.valueStart, end: attr.valueEnd, text: `${quote}${escaped}${quote}` };
+  }
+
+  // Source edit for a rel change: update, drop or append the attribute (new
+  // attributes go last, where setAttribute puts them)
+  function relEdit(html, source, rel) {
+    const attr = source.attrs.find(a => a.name === 'rel');
+    if (attr) return rel ? attributeEdit(attr, rel) : { start: attr.leadStart, end: attr.end, text: '' };
+    const close = source.end - (html[source.end - 2] === '/' ? 2 : 1);
+    return { start: close, end: close, text: ` rel="${escapeAttributeValue(rel, '"')}"` };
+  }
+
+  // Source edits that unwrap the style-only spans between `start` and `end`
+  function styleSpanEdits(html, start, end) {
+    const edits = [];
+    const open = [];
+    scanTags(html.slice(start, end), tag => {
+      if (tag.name !== 'span') return;
+      if (!tag.closing) {
+        open.push({ tag, strip: isStyleSpan(tag.attrs.map(attr => attr.name)) });
+        return;
+      }
+      const span = open.pop();
+      if (span && span.strip) {
+        edits.push({ start: start + span.tag.start, end: start + span.tag.end, text: '' });
+        edits.push({ start: start + tag.start, end: start + tag.end, text: '' });
+      }
+    });
+    return edits;
+  }
+
+  /**
+   * Apply the DOM pass's edits to the source text: cut the start and end tags
+   * of removed links, swap fixed and redirected hrefs, update rel attributes
+   * and apply the attribute hygiene rules (`cleanup` is {rules, keepIds}).
+   * Returns null when the source anchors don't line up with the parsed ones.
+   */
+  function spliceCleanHtml(html, links, hrefRewrites, textEdits, anchorCount, relChanges = [], cleanup = {}) {
+    const anchors = scanAnchors(html);
+    const withHref = anchors.filter(a => a.attrs.some(attr => attr.name === 'href'));
+    if (withHref.length !== anchorCount) return null;
+
+    const edits = [];
+    const removed = new Set();
+    const retexted = new Set();
+    const rewrites = new Map(hrefRewrites.map(r => [r.id, r.to]));
+    const texts = new Map(textEdits.map(t => [t.id, t.to]));
+    const rels = new Map(relChanges.map(r => [r.id, r.to]));
+    for (const link of links) {
+      const source = withHref[link.rawIndex];
+      if (!source) return null;
+      if (!link.keep) {
+        removed.add(source);
+        edits.push({ start: source.start, end: source.end, text: '' });
+        edits.push({ start: source.closeStart, end: source.closeEnd, text: '' });
+      } else {
+        if (rewrites.has(link.id)) edits.push(attributeEdit(source.attrs.find(attr => attr.name === 'href'), rewrites.get(link.id)));
+        if (rels.has(link.id)) edits.push(relEdit(html, source, rels.get(link.id)));
+        if (texts.has(link.id)) {
+          retexted.add(source);
+          edits.push({ start: source.end, end: source.closeStart, text: escapeText(texts.get(link.id)) });
+        }
+      }
+    }
+    const attributeRules = normalizeAttributeRules(cleanup.rules);
+    const keepIds = cleanup.keepIds || new Set();
+    anchors.forEach(a => {
+      if (removed.has(a)) return;
+      a.attrs.forEach(attr => {
+        const value = attr.valueStart < 0 ? '' : html.slice(attr.valueStart, attr.valueEnd);
+        if (attributeRuleFor(attr.name, value, attributeRules, keepIds)) edits.push({ start: attr.leadStart, end: attr.end, text: '' });
+      });
+      if (attributeRules.styleSpans && !retexted.has(a)) edits.push(...styleSpanEdits(html, a.end, a.closeStart));
+    });
+
+    edits.sort((x, y) => y.start - x.start);
+    let out = html;
+    edits.forEach(e => { out = out.slice(0, e.start) + e.text + out.slice(e.end); });
+    return out;
+  }
+
+  /**
+   * Unwrap every link whose record has `keep: false`, point kept links with
+   * a `fix` at its new href, and with `options.rewriteRedirects` point the
+   * other kept links at their final destination. Kept links with a
+   * `textEdit` get it as their anchor text.
+   * `options.rel` (see DEFAULT_REL_POLICY) rewrites kept links' rel attributes;
+   * `options.domain` tells it which links are internal. `options.attributes`
+   * picks the attribute hygiene rules (see cleanAttributes).
+   * With `options.lossless` the source is spliced instead of re-serialized;
+   * the splice is only used if it parses to exactly the same DOM as the
+   * serialized result (`lossless` in the return value says which one you got).
+   * @returns {{html: string, attributeCleanup: object, linkFixes: object[], textEdits: object[], redirectRewrites: object[], relChanges: object[], lossless: boolean}}
+   */
+  function generateCleanHtml(html, links, options = {}) {
+    const linkFixes = [];
+    const textEdits = [];
+    const redirectRewrites = [];
+    const relChanges = [];
+    const relPolicy = normalizeRelPolicy(options.rel);
+    const { container, placeholders } = processContainer(html, links, (a, link) => {
+      if (!link.keep) {
+        a.setAttribute('data-srlc-remove', 'true');
+        return;
+      }
+      const fix = rewriteLinkFix(a, link);
+      if (fix) {
+        linkFixes.push(fix);
+      } else if (options.rewriteRedirects) {
+        const rewrite = rewriteRedirect(a, link);
+        if (rewrite) redirectRewrites.push(rewrite);
+      }
+      const textEdit = rewriteLinkText(a, link);
+      if (textEdit) textEdits.push(textEdit);
+      if (isRelPolicyActive(relPolicy)) {
+        const change = applyRelPolicy(a, link, relPolicy, options.domain);
+        if (change) relChanges.push(change);
+      }
+    }, options);
+
+    // Unwrap removed links
+    container.querySelectorAll('[data-srlc-remove]').forEach(unwrapElement);
+
+    const keepIds = referencedIds(container);
+    const attributeCleanup = cleanAttributes(container, options.attributes);
+    const serialized = container.innerHTML;
+
+    if (options.lossless) {
+      const protectedHtml = protectTemplateSyntax(html, options.templates).html;
+      const anchorCount = parseFragment(html, options).container.querySelectorAll('a[href]').length;
+      const spliced = spliceCleanHtml(protectedHtml, links, linkFixes.concat(redirectRewrites), textEdits, anchorCount, relChanges, { rules: options.attributes, keepIds });
+      if (spliced !== null) {
+        const check = resolveDocument(options).createElement('div');
+        check.innerHTML = spliced;
+        if (check.innerHTML === serialized) {
+          return { html: restoreTemplateSyntax(spliced, placeholders), attributeCleanup, linkFixes, textEdits, redirectRewrites, relChanges, lossless: true };
+        }
+      }
+    }
+
+    return { html: restoreTemplateSyntax(serialized, placeholders), attributeCleanup, linkFixes, textEdits, redirectRewrites, relChanges, lossless: false };
+  }
+
+  // ===== Full Documents =====
+  // A complete page (doctype, <head>, nav, sidebar, footer) is cleaned through
+  // one content root: only that element's inner HTML is analyzed, and every
+  // byte outside it is written back untouched.
+
+  const FULL_DOCUMENT = /^\s*(?:<!--[\s\S]*?-->\s*)*<(?:!doctype\b|html[\s>])/i;
+
+  /** True when html is a whole page rather than an article fragment. */
+  function isFullDocument(html) {
+    return FULL_DOCUMENT.test(html);
+  }
+
+  function textLength(el) {
+    return el.textContent.replace(/\s+/g, ' ').trim().length;
+  }
+
+  // Short selector for messages and the UI: tag plus id, or tag plus classes
+  function describeElement(el) {
+    const tag = el.tagName.toLowerCase();
+    if (el.id) return `${tag}#${el.id}`;
+    const classes = (el.getAttribute('class') || '').trim().split(/\s+/).filter(Boolean);
+    return classes.length ? `${tag}.${classes.join('.')}` : tag;
+  }
+
+  // The element whose direct <p> children hold the most text
+  function largestTextBlock(body) {
+    const scores = new Map();
+    body.querySelectorAll('p').forEach(p => {
+      if (p.parentElement) scores.set(p.parentElement, (scores.get(p.parentElement) || 0) + textLength(p));
+    });
+    let best = null, bestScore = 0;
+    scores.forEach((score, el) => {
+      if (score > bestScore) { best = el; bestScore = score; }
+    });
+    return best;
+  }
+
+  function selectContentRoot(page, selector) {
+    if (selector) {
+      let el;
+      try {
+        el = page.querySelector(selector);
+      } catch (err) {
+        throw new Error(`Invalid content root selector: ${selector}`);
+      }
+      if (!el) throw new Error(`No element matches the content root selector "${selector}"`);
+      return { el, detection: 'selector' };
+    }
+    const articles = Array.from(page.querySelectorAll('article'));
+    if (articles.length) {
+      return { el: articles.reduce((a, b) => textLength(b) > textLength(a) ? b : a), detection: 'article' };
+    }
+    const main = page.querySelector('main, [role="main"]');
+    if (main) return { el: main, detection: 'main' };
+    const block = largestTextBlock(page.body);
+    if (block) return { el: block, detection: 'largest text block' };
+    return { el: page.body, detection: 'body' };
+  }
+
+  // Inner HTML offsets of a parsed element in its source. The element is
+  // matched to the nth start tag of its name; its end is the matching end
+  // tag, counting nested elements of the same name.
+  function locateElement(html, page, el) {
+    const name = el.tagName.toLowerCase();
+    const index = Array.prototype.indexOf.call(page.getElementsByTagName(name), el);
+    let seen = 0, depth = 0, start = -1, end = -1;
+    scanTags(html, tag => {
+      if (tag.name !== name || end >= 0) return;
+      if (!tag.closing) {
+        if (start >= 0) depth++;
+        else if (seen++ === index) start = tag.end;
+      } else if (start >= 0) {
+        if (depth) depth--;
+        else end = tag.start;
+      }
+    });
+    if (start < 0) return null;
+    if (end < 0) {
+      // An unclosed root runs to the end of the body
+      const close = html.toLowerCase().search(/<\/(?:body|html)[\s>]/);
+      end = close > start ? close : html.length;
+    }
+    return { start, end };
+  }
+
+  /**
+   * Split a complete HTML page around its content root.
+   * @param {string} html
+   * @param {{root?: string, document?: Document}} [options] - root is a CSS
+   *   selector; without one the root is the largest <article>, else <main>,
+   *   else the element holding the most paragraph text
+   * @returns {{before: string, content: string, after: string, selector: string, detection: string}|null}
+   *   null for a fragment; throws when the root cannot be mapped back to the source
+   */
+  function extractContentRoot(html, options = {}) {
+    if (!isFullDocument(html)) return null;
+    const page = resolveDocument(options).implementation.createHTMLDocument('');
+    page.documentElement.innerHTML = html;
+
+    const { el, detection } = selectContentRoot(page, options.root && options.root.trim());
+    const selector = describeElement(el);
+    const region = locateElement(html, page, el);
+    const content = region ? html.slice(region.start, region.end) : '';
+
+    // The parser may have moved or implied elements: make sure the source
+    // slice holds the same text as the element that was picked
+    const check = page.createElement('div');
+    check.innerHTML = content;
+    if (!region || check.textContent.replace(/\s+/g, ' ').trim() !== el.textContent.replace(/\s+/g, ' ').trim()) {
+      throw new Error(`Could not locate the content root (${selector}) in the source — set a selector`);
+    }
+
+    return { before: html.slice(0, region.start), content, after: html.slice(region.end), selector, detection };
+  }
+
+  /**
+   * One-shot pipeline: analyze, auto-strip and generate the clean HTML.
+   * A complete page is cleaned through its content root (see
+   * extractContentRoot) and written back whole.
+   * @param {string} html
+   * @param {{domain?: string, rules?: object, canonical?: object, redirects?: Array<[string, string]>, sitemap?: string[], root?: string, document?: Document}} [options]
+   */
+  function cleanArticle(html, options = {}) {
+    const rules = normalizeRules(options.rules);
+    const canonical = options.canonical || rules.canonical;
+    const anchors = options.anchors || rules.anchors;
+    const density = options.density || rules.density;
+    const page = extractContentRoot(html, options);
+    const content = page ? page.content : html;
+    const result = analyzeHtml(content, Object.assign({}, options, { canonical, anchors, density }));
+    applyAutoStrip(result.groups, rules);
+    const clean = generateCleanHtml(content, result.links, Object.assign({ rewriteRedirects: rules.rewriteRedirects, lossless: rules.lossless, rel: rules.rel, attributes: rules.attributes }, options));
+    return Object.assign(result, {
+      cleanHtml: page ? page.before + clean.html + page.after : clean.html,
+      contentRoot: page ? { selector: page.selector, detection: page.detection } : null,
+      lossless: clean.lossless,
+      attributeCleanup: clean.attributeCleanup,
+      linkFixes: clean.linkFixes,
+      textEdits: clean.textEdits,
+      redirectRewrites: clean.redirectRewrites,
+      relChanges: clean.relChanges
+    });
+  }
+
+  // ===== Site Report =====
+  // Rolls the per-article links up to the whole site: for every internal
+  // target, which articles link to it, how often and with which anchors.
+
+  /**
+   * Parse a list of site URLs: one per line, blank lines and # comments
+   * skipped; for CSV/TSV rows the first column is the URL.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function parseUrlList(text) {
+    return String(text || '').split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => line.split(/[,\t]/)[0].trim().replace(/^"|"$/g, ''))
+      .filter(Boolean);
+  }
+
+  // Pages are compared without #fragments: /guide#specs links to /guide
+  function pageKey(key) {
+    return key.replace(/#.*$/, '');
+  }
+
+  /**
+   * Cross-article report of internal link targets.
+   * @param {Array<{name: string, links: object[]}>} articles - analyzed articles
+   *   (analyzeHtml links, with their current keep flags)
+   * @param {{pages?: string[], domain?: string, canonical?: object}} [options] -
+   *   pages is the site's URL list; pages no article links to are orphans. Without a
+   *   domain only relative links are counted
+   * @returns {{articleCount: number, pageCount: number, targets: object[], orphans: string[]}}
+   *   targets are {url, articles, totalLinks, keptLinks, anchors: [{text, count}], linkedFrom},
+   *   most widely linked first
+   */
+  function buildSiteReport(articles, options = {}) {
+    const targets = new Map();
+    articles.forEach(article => {
+      article.links.forEach(link => {
+        if (link.isExternal || link.isTemplateHref) return;
+        // Without a domain an absolute URL can't be told apart from another site's
+        if (!options.domain && /^(?:[a-z][a-z\d+.-]*:)?\/\//i.test(link.href)) return;
+        const url = pageKey(link.normalizedHref);
+        if (!url) return; // same-page jump
+        let target = targets.get(url);
+        if (!target) {
+          target = { url, articles: 0, totalLinks: 0, keptLinks: 0, anchors: new Map(), linkedFrom: [] };
+          targets.set(url, target);
+        }
+        if (!target.linkedFrom.includes(article.name)) {
+          target.linkedFrom.push(article.name);
+          target.articles++;
+        }
+        target.totalLinks++;
+        if (link.keep) target.keptLinks++;
+        // Anchors are counted case-insensitively under their first spelling
+        const text = link.anchorText.replace(/\s+/g, ' ');
+        const anchor = target.anchors.get(text.toLowerCase());
+        if (anchor) anchor.count++;
+        else target.anchors.set(text.toLowerCase(), { text, count: 1 });
+      });
+    });
+
+    const pages = (options.pages || [])
+      // The list is the site's own pages, whatever host they are written with
+      .map(href => canonicalizeUrl(href, { domain: options.domain, canonical: Object.assign({}, options.canonical, { hostAware: false }) }))
+      .filter(Boolean)
+      .map(c => pageKey(c.key));
+    const orphans = Array.from(new Set(pages)).filter(url => !targets.has(url));
+
+    return {
+      articleCount: articles.length,
+      pageCount: new Set(pages).size,
+      targets: Array.from(targets.values())
+        .map(t => Object.assign(t, { anchors: Array.from(t.anchors.values()).sort((a, b) => b.count - a.count) }))
+        .sort((a, b) => b.articles - a.articles || b.totalLinks - a.totalLinks || a.url.localeCompare(b.url)),
+      orphans
+    };
+  }
+
+  function csvCell(value) {
+    const s = String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  /**
+   * CSV export of a site report: one row per target, then one per orphan page.
+   * @param {object} report - from buildSiteReport
+   * @returns {string}
+   */
+  function siteReportToCsv(report) {
+    const rows = [['url', 'status', 'articles', 'total_links', 'kept_links', 'anchors', 'linked_from']];
+    report.targets.forEach(t => rows.push([
+      t.url, 'linked', t.articles, t.totalLinks, t.keptLinks,
+      t.anchors.map(a => `${a.text} (${a.count})`).join('; '),
+      t.linkedFrom.join('; ')
+    ]));
+    report.orphans.forEach(url => rows.push([url, 'orphan', 0, 0, 0, '', '']));
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+  }
+
+  // ===== Audit Report =====
+  // Evidence of what the clean-up did to one article: its stats and warnings,
+  // every URL group with its occurrences, each keep/strip decision with the
+  // rule behind it, and the attribute and href changes made on the way out.
+
+  function linkType(link) {
+    return link.isImageLink ? 'image' : link.isCtaLink ? 'cta' : 'text';
+  }
+
+  /**
+   * Audit report for one article.
+   * @param {{title?: string, links: object[], groups: object, warnings: object[], stats: object}} article -
+   *   an analyzeHtml result with the current decisions
+   * @param {{domain?: string, format?: string, generatedAt?: string, attributeCleanup?: object,
+   *   linkFixes?: object[], textEdits?: object[], redirectRewrites?: object[], relChanges?: object[]}} [options] -
+   *   the change lists are the ones generateCleanHtml returned for the output
+   * @returns {{title: string, domain: string, format: string, generatedAt: string, stats: object,
+   *   warnings: object[], groups: object[], decisions: object[], changes: object}}
+   *   links are referred to by their number (#1, #2, ...)
+   */
+  function buildAuditReport(article, options = {}) {
+    const fixes = new Map((options.linkFixes || []).map(f => [f.id, f.to]));
+    const redirects = new Map((options.redirectRewrites || []).map(r => [r.id, r.to]));
+    const texts = new Map((options.textEdits || []).map(t => [t.id, t.to]));
+    const decisions = article.links.map(link => ({
+      link: linkNumber(link),
+      action: link.keep ? 'keep' : 'strip',
+      rule: link.reason ? link.reason.rule : '',
+      ruleLabel: link.reason ? RULE_LABELS[link.reason.rule] || link.reason.rule : '',
+      reason: link.reason ? link.reason.message : '',
+      href: link.href,
+      finalHref: link.keep ? fixes.get(link.id) || redirects.get(link.id) || link.href : null,
+      normalizedHref: link.normalizedHref,
+      anchorText: link.anchorText,
+      finalAnchorText: link.keep ? texts.get(link.id) || link.anchorText : null,
+      type: linkType(link),
+      external: link.isExternal,
+      inHeading: link.isInHeading,
+      section: link.section ? link.section.heading : '',
+      parentTag: link.parentTag,
+      rel: link.rel,
+      context: link.context
+    }));
+    const byId = new Map(decisions.map((d, i) => [article.links[i].id, d]));
+
+    return {
+      title: article.title || '',
+      domain: options.domain || '',
+      format: options.format || 'html',
+      generatedAt: options.generatedAt || new Date().toISOString(),
+      stats: Object.assign({}, article.stats, {
+        keeping: article.links.filter(l => l.keep).length,
+        removing: article.links.filter(l => !l.keep).length
+      }),
+      warnings: article.warnings.map(w => ({
+        type: w.type,
+        message: w.message,
+        links: (w.linkIds || []).map(id => linkNumber({ id }))
+      })),
+      groups: Object.values(article.groups).map(g => ({
+        url: g.normalizedHref,
+        variants: g.variants.map(v => v.href),
+        occurrences: g.links.map(l => {
+          const d = byId.get(l.id);
+          return { link: d.link, action: d.action, anchorText: d.anchorText, reason: d.reason, context: d.context };
+        }),
+        kept: g.links.filter(l => l.keep).length
+      })),
+      decisions,
+      changes: {
+        attributes: Object.entries(ATTRIBUTE_RULES)
+          .map(([rule, def]) => ({ rule, label: def.label, description: def.description, count: (options.attributeCleanup || {})[rule] || 0 }))
+          .filter(a => a.count),
+        rel: (options.relChanges || []).map(r => ({ link: linkNumber(r), href: r.href, from: r.from, to: r.to, notes: r.notes })),
+        repointed: (options.linkFixes || []).map(f => ({ link: linkNumber(f), from: f.from, to: f.to })),
+        reworded: (options.textEdits || []).map(t => ({ link: linkNumber(t), from: t.from, to: t.to })),
+        redirects: (options.redirectRewrites || []).map(r => ({ link: linkNumber(r), from: r.from, to: r.to }))
+      }
+    };
+  }
+
+  /**
+   * CSV export of an audit report: summary rows, then one row per link
+   * decision, warning and change, told apart by the `kind` column.
+   * @param {object} report - from buildAuditReport
+   * @returns {string}
+   */
+  function auditReportToCsv(report) {
+    const rows = [['kind', 'link', 'action', 'rule', 'url', 'final_url', 'anchor', 'final_anchor', 'detail', 'context']];
+    const summary = { title: report.title, domain: report.domain, format: report.format, generated_at: report.generatedAt };
+    Object.entries(report.stats).forEach(([name, value]) => { summary[name] = value; });
+    Object.entries(summary).forEach(([name, value]) => rows.push(['summary', '', '', name, '', '', '', '', value, '']));
+    report.decisions.forEach(d => rows.push([
+      'decision', d.link, d.action, d.rule, d.href, d.finalHref || '', d.anchorText, d.finalAnchorText || '', d.reason, d.context
+    ]));
+    report.warnings.forEach(w => rows.push(['warning', w.links.join('; '), '', w.type, '', '', '', '', w.message, '']));
+    report.changes.attributes.forEach(a => rows.push(['attribute', '', '', a.rule, '', '', '', '', `${a.count} × ${a.description}`, '']));
+    report.changes.rel.forEach(r => rows.push(['rel', r.link, '', '', r.href, '', '', '', `rel "${r.from}" → "${r.to}": ${r.notes.join('; ')}`, '']));
+    report.changes.repointed.forEach(f => rows.push(['repointed', f.link, '', '', f.from, f.to, '', '', '', '']));
+    report.changes.reworded.forEach(t => rows.push(['reworded', t.link, '', '', '', '', t.from, t.to, '', '']));
+    report.changes.redirects.forEach(r => rows.push(['redirect', r.link, '', '', r.from, r.to, '', '', '', '']));
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+  }
+
+  function escapeHtml(value) {
+    return escapeText(String(value)).replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Self-contained, printable HTML page of an audit report.
+   * @param {object} report - from buildAuditReport
+   * @returns {string}
+   */
+  function auditReportToHtml(report) {
+    const e = escapeHtml;
+    const title = report.title || 'Untitled article';
+    const table = (head, rows) => rows.length
+      ? `<table><thead><tr>${head.map(h => `<th>${e(h)}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`
+      : '<p class="none">None.</p>';
+    const stats = [
+      ['Links', report.stats.totalLinks], ['Unique URLs', report.stats.uniqueUrls], ['Keeping', report.stats.keeping],
+      ['Removing', report.stats.removing], ['Image', report.stats.imageLinks], ['CTA', report.stats.ctaLinks],
+      ['External', report.stats.externalLinks], ['Redirected', report.stats.redirectedLinks],
+      ['Not in sitemap', report.stats.notInSitemap], ['Dense regions', report.stats.denseRegions], ['Anchor issues', report.stats.anchorIssues]
+    ].filter(([, value]) => value !== undefined);
+    const changes = report.changes;
+    const changeRows = [
+      ...changes.attributes.map(a => `<tr><td>${e(a.label)}</td><td></td><td>${e(`${a.count} × ${a.description}`)}</td></tr>`),
+      ...changes.rel.map(r => `<tr><td>rel</td><td>${e(r.link)}</td><td><code>${e(r.href)}</code>: ${e(`"${r.from}" → "${r.to}"`)} — ${e(r.notes.join('; '))}</td></tr>`),
+      ...changes.repointed.map(f => `<tr><td>Repointed</td><td>${e(f.link)}</td><td><code>${e(f.from)}</code> → <code>${e(f.to)}</code></td></tr>`),
+      ...changes.reworded.map(t => `<tr><td>Reworded</td><td>${e(t.link)}</td><td>${e(t.from)} → ${e(t.to)}</td></tr>`),
+      ...changes.redirects.map(r => `<tr><td>Redirect</td><td>${e(r.link)}</td><td><code>${e(r.from)}</code> → <code>${e(r.to)}</code></td></tr>`)
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Link audit — ${e(title)}</title>
+<style>
+  body { font-family: -apple-system, system-ui, sans-serif; font-size: 13px; color: #1a1d23; max-width: 1000px; margin: 24px auto; padding: 0 24px; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h2 { font-size: 15px; margin: 28px 0 8px; border-bottom: 1px solid #e2e4e9; padding-bottom: 4px; }
+  h3 { font-size: 13px; margin: 16px 0 6px; }
+  .meta { color: #6c7281; margin: 0 0 16px; }
+  .stats { display: flex; flex-wrap: wrap; gap: 8px 20px; }
+  .stats b { font-size: 16px; display: block; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+  th, td { text-align: left; vertical-align: top; padding: 4px 6px; border-bottom: 1px solid #f0f1f3; }
+  th { font-size: 11px; color: #6c7281; border-bottom-color: #e2e4e9; }
+  tr.strip td { color: #991b1b; background: #fef2f2; }
+  code { font-size: 12px; word-break: break-all; }
+  .context { color: #6c7281; font-size: 12px; }
+  .none { color: #6c7281; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    h2 { break-after: avoid; }
+    tr { break-inside: avoid; }
+    tr.strip td { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+</style>
+</head>
+<body>
+<h1>${e(title)}</h1>
+<p class="meta">${report.domain ? `${e(report.domain)} · ` : ''}${e(report.format === 'markdown' ? 'Markdown' : 'HTML')} · generated ${e(report.generatedAt)}</p>
+<div class="stats">${stats.map(([label, value]) => `<div><b>${e(value)}</b>${e(label)}</div>`).join('')}</div>
+
+<h2>Warnings</h2>
+${table(['Type', 'Links', 'Message'], report.warnings.map(w => `<tr><td>${e(w.type)}</td><td>${e(w.links.join(', '))}</td><td>${e(w.message)}</td></tr>`))}
+
+<h2>Decisions</h2>
+${table(['Link', 'Action', 'Anchor', 'Href', 'Rule', 'Why'], report.decisions.map(d => `<tr class="${d.action}">
+  <td>${e(d.link)}</td><td>${e(d.action)}</td>
+  <td>${e(d.anchorText)}${d.finalAnchorText && d.finalAnchorText !== d.anchorText ? ` → ${e(d.finalAnchorText)}` : ''}<div class="context">${e(d.context)}</div></td>
+  <td><code>${e(d.href)}</code>${d.finalHref && d.finalHref !== d.href ? ` → <code>${e(d.finalHref)}</code>` : ''}</td>
+  <td>${e(d.ruleLabel)}</td><td>${e(d.reason)}</td>
+</tr>`))}
+
+<h2>URL groups</h2>
+${report.groups.map(g => `<h3><code>${e(g.url)}</code> — ${g.occurrences.length} occurrence${g.occurrences.length !== 1 ? 's' : ''}, ${g.kept} kept</h3>
+${g.variants.length > 1 ? `<p class="context">Spellings: ${g.variants.map(v => `<code>${e(v)}</code>`).join(', ')}</p>` : ''}
+${table(['Link', 'Action', 'Anchor', 'Why'], g.occurrences.map(o => `<tr class="${o.action}"><td>${e(o.link)}</td><td>${e(o.action)}</td><td>${e(o.anchorText)}<div class="context">${e(o.context)}</div></td><td>${e(o.reason)}</td></tr>`))}`).join('\n')}
+
+<h2>Attribute and href changes</h2>
+${table(['Change', 'Link', 'Detail'], changeRows)}
+</body>
+</html>
+`;
+  }
+
+  return {
+    TEMPLATE_DIALECTS,
+    protectTemplateSyntax,
+    restoreTemplateSyntax,
+    parseFragment,
+    DEFAULT_CANONICAL,
+    normalizeCanonicalOptions,
+    canonicalizeUrl,
+    normalizeUrl,
+    parseRedirectMap,
+    createRedirectResolver,
+    parseSitemap,
+    createSitemapIndex,
+    isImageLink,
+    getCtaMatch,
+    isCtaLink,
+    isInHeading,
+    isInternalLink,
+    isExternalLink,
+    getParentTag,
+    getAncestorTags,
+    computeWordPositions,
+    getContext,
+    DEFAULT_ANCHOR_CHECKS,
+    normalizeAnchorCheckOptions,
+    checkAnchorText,
+    DEFAULT_DENSITY,
+    normalizeDensityOptions,
+    densityRegions,
+    checkLinkDensity,
+    analyzeHtml,
+    hasDifferentAnchors,
+    DEFAULT_RULES,
+    RULE_LABELS,
+    normalizeRules,
+    anchorScore,
+    linkNumber,
+    applyAutoStrip,
+    applyManualDecision,
+    applyKeepAll,
+    processContainer,
+    unwrapElement,
+    ATTRIBUTE_RULES,
+    DEFAULT_ATTRIBUTE_RULES,
+    normalizeAttributeRules,
+    cleanAttributes,
+    rewriteRedirect,
+    rewriteLinkFix,
+    rewriteLinkText,
+    DEFAULT_REL_POLICY,
+    normalizeRelPolicy,
+    isRelPolicyActive,
+    applyRelPolicy,
+    scanAnchors,
+    generateCleanHtml,
+    isFullDocument,
+    extractContentRoot,
+    cleanArticle,
+    parseUrlList,
+    buildSiteReport,
+    siteReportToCsv,
+    buildAuditReport,
+    auditReportToCsv,
+    auditReportToHtml
+  };
+});
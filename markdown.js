@@ -0,0 +1,460 @@
+// ===== SEO Redundant Link Cleaner — Markdown / MDX =====
+// Finds Markdown links (inline, reference, autolinks, image links and inline
+// <a> tags) with their source offsets and renders a "shadow" HTML copy of the
+// article in which each of them is an <a>, so analyzeHtml and applyAutoStrip
+// work unchanged. Cleaning edits the Markdown source itself: removed links
+// become their link text and reference definitions left unused are dropped.
+// Loads as a browser <script> after engine.js (window.SRLCMarkdown) or as a
+// CommonJS module.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine'));
+  else root.SRLCMarkdown = factory(root.SRLC);
+})(typeof self !== 'undefined' ? self : this, function (SRLC) {
+  'use strict';
+
+  const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+  const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+|$)/;
+  const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+  const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const LIST_ITEM = /^[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+/;
+  const BLOCKQUOTE = /^ {0,3}>[ \t]?/;
+  const TABLE_ROW = /^ {0,3}\|/;
+  const INDENTED_CODE = /^(?: {4}|\t)/;
+  const MDX_ESM = /^(?:import|export)\s/;
+  const DEFINITION = /^ {0,3}\[((?:[^\]\\]|\\.)+)\]:[ \t]*(<[^>\n]*>|\S+)(?:[ \t]+(?:"[^"\n]*"|'[^'\n]*'|\([^)\n]*\)))?[ \t]*$/;
+  const AUTOLINK = /<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>]+\.[^\s<>]+)>/iy;
+  const HTML_ANCHOR_OPEN = /<a\s[^>]*>/iy;
+  const HREF_ATTR = /\shref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+  const BACKSLASH_ESCAPE = /\\([!-/:-@[-`{-~])/g;
+
+  function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /** Reference labels match case-insensitively with whitespace collapsed. */
+  function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  function splitLines(src) {
+    const lines = [];
+    let start = 0;
+    while (start <= src.length) {
+      const nl = src.indexOf('\n', start);
+      const end = nl === -1 ? src.length : nl;
+      lines.push({ start, end, next: nl === -1 ? src.length : nl + 1, text: src.slice(start, end) });
+      if (nl === -1) break;
+      start = nl + 1;
+    }
+    return lines;
+  }
+
+  // ===== Block Structure =====
+  // Only as much block structure as link analysis needs: headings, lists,
+  // quotes and tables become the matching HTML containers; code is skipped.
+  // Consecutive list items, quote lines and table rows are `joined` to the
+  // block before them so they share one container (a list survives blank
+  // lines between its items).
+  function parseBlocks(src) {
+    const blocks = [];
+    const definitions = [];
+    let paragraph = null;
+    let fence = null;
+    let container = null; // outer tag of the list, quote or table still open
+    const flush = () => { if (paragraph) blocks.push(paragraph); paragraph = null; };
+    let frontMatter = /^(?:---|\+\+\+)[ \t]*$/.test(src.slice(0, src.indexOf('\n'))) ? src.slice(0, 3) : null;
+
+    splitLines(src).forEach((line, index) => {
+      const text = line.text;
+      // YAML (---) or TOML (+++) front matter is metadata, not content
+      if (frontMatter) {
+        if (index > 0 && text.trim() === frontMatter) frontMatter = null;
+        return;
+      }
+      if (fence) {
+        if (text.trim().startsWith(fence) && text.trim().replace(/[`~]/g, '') === '') fence = null;
+        return;
+      }
+      const fenceMatch = FENCE.exec(text);
+      if (fenceMatch) { flush(); fence = fenceMatch[1]; container = null; return; }
+      if (!text.trim()) {
+        flush();
+        if (container !== 'ul') container = null;
+        return;
+      }
+      if (!paragraph && MDX_ESM.test(text)) return;
+
+      const def = !paragraph && DEFINITION.exec(text);
+      if (def) {
+        const destText = def[2];
+        const destStart = line.start + text.indexOf(destText, text.indexOf(']:') + 2) + (destText.startsWith('<') ? 1 : 0);
+        const href = destText.startsWith('<') ? destText.slice(1, -1) : destText;
+        definitions.push({ label: normalizeLabel(def[1]), href, destStart, destEnd: destStart + href.length, start: line.start, end: line.next });
+        return;
+      }
+      if (paragraph && paragraph.tags[0] === 'p' && SETEXT_UNDERLINE.test(text)) {
+        paragraph.tags = [text.trim()[0] === '=' ? 'h1' : 'h2'];
+        flush();
+        return;
+      }
+      if (THEMATIC_BREAK.test(text)) { flush(); container = null; return; }
+
+      const heading = ATX_HEADING.exec(text);
+      if (heading) {
+        flush();
+        container = null;
+        const content = text.slice(heading[0].length).replace(/[ \t]+#+[ \t]*$|^#+[ \t]*$/, '');
+        blocks.push({ tags: [`h${heading[1].length}`], start: line.start + heading[0].length, end: line.start + heading[0].length + content.length });
+        return;
+      }
+      const prefix = BLOCKQUOTE.exec(text) || LIST_ITEM.exec(text);
+      if (prefix) {
+        flush();
+        const tags = prefix[0].trim().startsWith('>') ? ['blockquote', 'p'] : ['ul', 'li'];
+        blocks.push({ tags, start: line.start + prefix[0].length, end: line.end, joined: container === tags[0] });
+        container = tags[0];
+        return;
+      }
+      if (TABLE_ROW.test(text)) {
+        flush();
+        blocks.push({ tags: ['table', 'tr', 'td'], start: line.start, end: line.end, joined: container === 'table' });
+        container = 'table';
+        return;
+      }
+      if (!paragraph && INDENTED_CODE.test(text)) return;
+
+      if (paragraph) paragraph.end = line.end;
+      else {
+        paragraph = { tags: ['p'], start: line.start, end: line.end };
+        container = null;
+      }
+    });
+    flush();
+    return { blocks, definitions };
+  }
+
+  // ===== Inline Links =====
+  // Index of the "]" matching the "[" at `open`, or -1
+  function findCloseBracket(src, open, end) {
+    let depth = 0;
+    for (let i = open; i < end; i++) {
+      const c = src[i];
+      if (c === '\\') { i++; continue; }
+      if (c === '`') {
+        const run = /`+/y;
+        run.lastIndex = i;
+        const ticks = run.exec(src)[0];
+        const close = src.indexOf(ticks, i + ticks.length);
+        if (close !== -1 && close < end) i = close + ticks.length - 1;
+        continue;
+      }
+      if (c === '[') depth++;
+      else if (c === ']' && --depth === 0) return i;
+    }
+    return -1;
+  }
+
+  // Parse "(destination "title")" starting just after the "(".
+  function parseDestination(src, pos, end) {
+    let i = pos;
+    while (i < end && /\s/.test(src[i])) i++;
+    let destStart, destEnd;
+    if (src[i] === '<') {
+      const close = src.indexOf('>', i);
+      if (close === -1 || close >= end || src.slice(i, close).includes('\n')) return null;
+      destStart = i + 1;
+      destEnd = close;
+      i = close + 1;
+    } else {
+      destStart = i;
+      let depth = 0;
+      while (i < end && !/\s/.test(src[i])) {
+        if (src[i] === '\\') { i += 2; continue; }
+        if (src[i] === '(') depth++;
+        else if (src[i] === ')' && depth-- === 0) break;
+        i++;
+      }
+      destEnd = i;
+    }
+    while (i < end && /\s/.test(src[i])) i++;
+    const quote = { '"': '"', "'": "'", '(': ')' }[src[i]];
+    if (quote) {
+      const close = src.indexOf(quote, i + 1);
+      if (close === -1 || close >= end) return null;
+      i = close + 1;
+      while (i < end && /\s/.test(src[i])) i++;
+    }
+    if (src[i] !== ')') return null;
+    return { href: src.slice(destStart, destEnd).replace(BACKSLASH_ESCAPE, '$1'), destStart, destEnd, end: i + 1 };
+  }
+
+  // Split src[start, end) into text, code, image and link nodes. Every link
+  // found is also appended to `links`, in document order.
+  function parseInline(src, start, end, definitions, links, inLink) {
+    const nodes = [];
+    let textStart = start;
+    let i = start;
+    const pushText = to => { if (to > textStart) nodes.push({ type: 'text', start: textStart, end: to }); };
+    const addLink = link => {
+      pushText(link.start);
+      links.push(link);
+      nodes.push({ type: 'link', link, children: parseInline(src, link.textStart, link.textEnd, definitions, links, true) });
+      i = textStart = link.end;
+    };
+
+    while (i < end) {
+      const c = src[i];
+      if (c === '\\') { i += 2; continue; }
+
+      if (c === '`') {
+        const run = /`+/y;
+        run.lastIndex = i;
+        const ticks = run.exec(src)[0];
+        const close = src.indexOf(ticks, i + ticks.length);
+        if (close !== -1 && close + ticks.length <= end) {
+          pushText(i);
+          nodes.push({ type: 'code', start: i + ticks.length, end: close });
+          i = textStart = close + ticks.length;
+        } else {
+          i += ticks.length;
+        }
+        continue;
+      }
+
+      if (c === '<' && !inLink) {
+        AUTOLINK.lastIndex = i;
+        const auto = AUTOLINK.exec(src);
+        if (auto && i + auto[0].length <= end) {
+          const target = auto[1];
+          addLink({
+            kind: 'autolink', start: i, end: i + auto[0].length, textStart: i + 1, textEnd: i + auto[0].length - 1,
+            href: /^[^\s<>@:]+@/.test(target) ? `mailto:${target}` : target,
+            destStart: i + 1, destEnd: i + auto[0].length - 1
+          });
+          continue;
+        }
+        HTML_ANCHOR_OPEN.lastIndex = i;
+        const open = HTML_ANCHOR_OPEN.exec(src);
+        const href = open && HREF_ATTR.exec(open[0]);
+        const close = href ? src.toLowerCase().indexOf('</a>', i + open[0].length) : -1;
+        if (href && close !== -1 && close + 4 <= end) {
+          const value = href[1] !== undefined ? href[1] : href[2] !== undefined ? href[2] : href[3];
+          const destStart = i + href.index + href[0].indexOf(value, href[0].indexOf('=') + 1);
+          addLink({
+            kind: 'html', start: i, end: close + 4, textStart: i + open[0].length, textEnd: close,
+            href: value, destStart, destEnd: destStart + value.length
+          });
+          continue;
+        }
+      }
+
+      if (c === '!' && src[i + 1] === '[') {
+        const close = findCloseBracket(src, i + 1, end);
+        const dest = close !== -1 && src[close + 1] === '(' && parseDestination(src, close + 2, end);
+        if (dest) {
+          pushText(i);
+          nodes.push({ type: 'image', alt: src.slice(i + 2, close), href: dest.href });
+          i = textStart = dest.end;
+          continue;
+        }
+        i++;
+        continue;
+      }
+
+      if (c === '[' && !inLink) {
+        const close = findCloseBracket(src, i, end);
+        if (close === -1) { i++; continue; }
+        const textRange = { start: i, textStart: i + 1, textEnd: close };
+        let link = null;
+
+        if (src[close + 1] === '(') {
+          const dest = parseDestination(src, close + 2, end);
+          if (dest) link = Object.assign({ kind: 'inline', end: dest.end, href: dest.href, destStart: dest.destStart, destEnd: dest.destEnd }, textRange);
+        } else if (src[close + 1] === '[') {
+          const refClose = src.indexOf(']', close + 2);
+          if (refClose !== -1 && refClose < end) {
+            const label = src.slice(close + 2, refClose) || src.slice(i + 1, close);
+            const def = definitions.get(normalizeLabel(label));
+            if (def) link = Object.assign({ kind: 'reference', end: refClose + 1, href: def.href, definition: def.label }, textRange);
+          }
+        }
+        // Shortcut reference: [label] on its own, when the label is defined
+        if (!link && src[close + 1] !== '(' && src[close + 1] !== '[') {
+          const def = definitions.get(normalizeLabel(src.slice(i + 1, close)));
+          if (def) link = Object.assign({ kind: 'reference', end: close + 1, href: def.href, definition: def.label }, textRange);
+        }
+
+        if (link) { addLink(link); continue; }
+        i++;
+        continue;
+      }
+      i++;
+    }
+    pushText(end);
+    return nodes;
+  }
+
+  function renderNodes(src, nodes) {
+    return nodes.map(node => {
+      if (node.type === 'text') return escapeHtml(src.slice(node.start, node.end).replace(BACKSLASH_ESCAPE, '$1'));
+      if (node.type === 'code') return `<code>${escapeHtml(src.slice(node.start, node.end))}</code>`;
+      if (node.type === 'image') return `<img src="${escapeHtml(node.href)}" alt="${escapeHtml(node.alt)}">`;
+      return `<a href="${escapeHtml(node.link.href)}">${renderNodes(src, node.children)}</a>`;
+    }).join('');
+  }
+
+  /**
+   * Find every link in a Markdown or MDX article.
+   * @param {string} src
+   * @returns {{html: string, links: object[], definitions: object[]}} `html` is
+   *   the shadow article (one <a href> per entry of `links`, in order); each
+   *   link carries its kind (inline, reference, autolink or html), href and
+   *   source offsets: start/end, textStart/textEnd and destStart/destEnd
+   */
+  function parseMarkdown(src) {
+    const { blocks, definitions } = parseBlocks(src);
+    // The first definition of a label wins
+    const byLabel = new Map();
+    definitions.forEach(def => { if (!byLabel.has(def.label)) byLabel.set(def.label, def); });
+
+    const links = [];
+    const html = blocks.map((block, i) => {
+      const inner = renderNodes(src, parseInline(src, block.start, block.end, byLabel, links, false));
+      const next = blocks[i + 1];
+      const open = block.joined ? block.tags.slice(1) : block.tags;
+      const close = next && next.joined ? block.tags.slice(1) : block.tags;
+      return open.map(t => `<${t}>`).join('') + inner + close.slice().reverse().map(t => `</${t}>`).join('');
+    }).join('\n');
+    return { html, links, definitions };
+  }
+
+  /**
+   * analyzeHtml for Markdown: same options and result, plus `html` (the
+   * shadow article) and `definitions`. Each link record gets `source`, its
+   * entry from parseMarkdown().links.
+   */
+  function analyzeMarkdown(src, options = {}) {
+    const parsed = parseMarkdown(src);
+    const result = SRLC.analyzeHtml(parsed.html, options);
+    result.links.forEach(link => { link.source = parsed.links[link.rawIndex]; });
+    return Object.assign(result, { html: parsed.html, definitions: parsed.definitions });
+  }
+
+  // Source edit giving link `s` the anchor text `text`. Autolinks become
+  // inline links to `href`; shortcut and collapsed references ([label],
+  // [label][]) keep their label as an explicit one.
+  function textEdit(src, s, text, href) {
+    if (s.kind === 'html') {
+      return { start: s.textStart, end: s.textEnd, text: text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;') };
+    }
+    const escaped = text.replace(/[[\]\\]/g, '\\$&');
+    if (s.kind === 'autolink') return { start: s.start, end: s.end, text: `[${escaped}](<${href}>)` };
+    if (s.kind === 'reference' && (s.end === s.textEnd + 1 || src.slice(s.textEnd, s.end) === '][]')) {
+      return { start: s.start, end: s.end, text: `[${escaped}][${src.slice(s.textStart, s.textEnd)}]` };
+    }
+    return { start: s.textStart, end: s.textEnd, text: escaped };
+  }
+
+  /**
+   * Turn removed links into plain text and drop reference definitions that
+   * only removed links used. Kept links with a `fix` (or their definitions)
+   * point at its new href; with `options.rewriteRedirects` the others point
+   * at the final destination. Kept links with a `textEdit` get it as their
+   * text (autolinks and shortcut references are rewritten to make room).
+   * @param {string} src
+   * @param {object[]} links - link records from analyzeMarkdown
+   * @returns {{markdown: string, linkFixes: object[], textEdits: object[], redirectRewrites: object[], removedDefinitions: string[]}}
+   */
+  function generateCleanMarkdown(src, links, options = {}) {
+    const { definitions } = parseBlocks(src);
+    const edits = [];
+    const linkFixes = [];
+    const textEdits = [];
+    const redirectRewrites = [];
+    const usedBefore = new Set();
+    const usedAfter = new Set();
+    const rewrittenDefs = new Set();
+
+    links.forEach(link => {
+      const s = link.source;
+      if (!s) return;
+      if (s.definition) usedBefore.add(s.definition);
+      if (!link.keep) {
+        if (s.kind === 'html') {
+          edits.push({ start: s.start, end: s.textStart, text: '' }, { start: s.textEnd, end: s.end, text: '' });
+        } else {
+          edits.push({ start: s.start, end: s.end, text: src.slice(s.textStart, s.textEnd) });
+        }
+        return;
+      }
+      if (s.definition) usedAfter.add(s.definition);
+      const fixed = !!(link.fix && link.fix.to);
+      const to = fixed ? link.fix.to : options.rewriteRedirects && link.redirect && link.redirect.to;
+      const retexted = !link.isImageLink && typeof link.textEdit === 'string' && link.textEdit !== link.anchorText;
+      if (retexted) {
+        textEdits.push({ id: link.id, from: link.anchorText, to: link.textEdit });
+        edits.push(textEdit(src, s, link.textEdit, to || s.href));
+        // An autolink's destination is its text, so the rewrite above covers both
+        if (s.kind === 'autolink') {
+          if (to && to !== link.href) (fixed ? linkFixes : redirectRewrites).push({ id: link.id, from: link.href, to });
+          return;
+        }
+      }
+      if (!to || to === link.href) return;
+
+      if (s.definition) {
+        if (rewrittenDefs.has(s.definition)) return;
+        rewrittenDefs.add(s.definition);
+        const def = definitions.find(d => d.label === s.definition);
+        edits.push({ start: def.destStart, end: def.destEnd, text: to });
+      } else {
+        edits.push({ start: s.destStart, end: s.destEnd, text: to });
+      }
+      (fixed ? linkFixes : redirectRewrites).push({ id: link.id, from: link.href, to });
+    });
+
+    const removedDefinitions = [];
+    definitions.forEach(def => {
+      if (usedBefore.has(def.label) && !usedAfter.has(def.label)) {
+        removedDefinitions.push(def.label);
+        edits.push({ start: def.start, end: def.end, text: '' });
+      }
+    });
+
+    edits.sort((a, b) => b.start - a.start);
+    let markdown = src;
+    edits.forEach(e => { markdown = markdown.slice(0, e.start) + e.text + markdown.slice(e.end); });
+    return { markdown, linkFixes, textEdits, redirectRewrites, removedDefinitions };
+  }
+
+  /**
+   * One-shot pipeline for Markdown, like SRLC.cleanArticle; the cleaned
+   * source is returned as `cleanMarkdown`.
+   */
+  function cleanMarkdown(src, options = {}) {
+    const rules = SRLC.normalizeRules(options.rules);
+    const canonical = options.canonical || rules.canonical;
+    const anchors = options.anchors || rules.anchors;
+    const density = options.density || rules.density;
+    const result = analyzeMarkdown(src, Object.assign({}, options, { canonical, anchors, density }));
+    SRLC.applyAutoStrip(result.groups, rules);
+    const clean = generateCleanMarkdown(src, result.links, { rewriteRedirects: rules.rewriteRedirects });
+    return Object.assign(result, {
+      cleanMarkdown: clean.markdown,
+      attributeCleanup: {},
+      linkFixes: clean.linkFixes,
+      textEdits: clean.textEdits,
+      redirectRewrites: clean.redirectRewrites,
+      removedDefinitions: clean.removedDefinitions
+    });
+  }
+
+  /** Guess whether pasted text is Markdown rather than HTML. */
+  function looksLikeMarkdown(text) {
+    const tags = (text.match(/<\/?[a-z][\w-]*(?:\s[^>]*)?>/gi) || []).length;
+    const marks = (text.match(/\]\(|^ {0,3}#{1,6}\s|^ {0,3}\[[^\]]+\]:\s|^ {0,3}[-*+]\s|^(?:import|export)\s/gm) || []).length;
+    return marks > 0 && marks >= tags;
+  }
+
+  return { parseMarkdown, analyzeMarkdown, generateCleanMarkdown, cleanMarkdown, looksLikeMarkdown, normalizeLabel };
+});
@@ -0,0 +1,78 @@
+// URL canonicalization: which hrefs share a grouping key, and the steps that
+// explain why. Every step can be switched off through `canonical`:
+//
+//   node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const SRLC = require('../engine');
+
+const { document } = new JSDOM('').window;
+
+function key(href, options) {
+  return SRLC.normalizeUrl(href, options);
+}
+
+test('tracking params are dropped, and the step says which', () => {
+  const result = SRLC.canonicalizeUrl('/guns?utm_source=x&utm_medium=y&gclid=1');
+  assert.strictEqual(result.key, '/guns');
+  assert.deepStrictEqual(result.steps, ['dropped utm_source, utm_medium, gclid']);
+  assert.strictEqual(key('/guns?page=2&fbclid=1'), '/guns?page=2');
+});
+
+test('the ignored params list can be replaced', () => {
+  const canonical = { ignoreParams: 'ref, session_*' };
+  assert.strictEqual(key('/guns?ref=nav&session_id=9&utm_source=x', { canonical }), '/guns?utm_source=x');
+  assert.strictEqual(key('/guns?utm_source=x', { canonical: { ignoreParams: [] } }), '/guns?utm_source=x');
+});
+
+test('query params are sorted unless switched off', () => {
+  assert.strictEqual(key('/guns?b=2&a=1'), key('/guns?a=1&b=2'));
+  assert.deepStrictEqual(SRLC.canonicalizeUrl('/guns?b=2&a=1').steps, ['sorted query params']);
+  assert.strictEqual(key('/guns?b=2&a=1', { canonical: { sortParams: false } }), '/guns?b=2&a=1');
+});
+
+test('index files fold into their directory', () => {
+  assert.strictEqual(key('/guns/index.html'), '/guns');
+  assert.strictEqual(key('/guns/'), '/guns');
+  assert.strictEqual(key('/guns/default.aspx'), '/guns');
+  assert.deepStrictEqual(SRLC.canonicalizeUrl('/guns/index.html').steps, ['folded index file index.html']);
+  assert.strictEqual(key('/guns/index.html', { canonical: { foldIndex: false } }), '/guns/index.html');
+});
+
+test('fragments count as different pages unless ignored', () => {
+  assert.notStrictEqual(key('/guns#specs'), key('/guns'));
+  assert.strictEqual(key('/guns#specs', { canonical: { ignoreFragment: true } }), '/guns');
+  // A bare same-page jump has nothing else to compare
+  assert.strictEqual(key('#specs', { canonical: { ignoreFragment: true } }), '#specs');
+});
+
+test('with a site domain, its hosts are dropped and other hosts kept', () => {
+  const options = { domain: 'ammo.com' };
+  assert.strictEqual(key('https://ammo.com/guns', options), '/guns');
+  assert.strictEqual(key('https://www.ammo.com/guns/', options), '/guns');
+  assert.strictEqual(key('https://shop.ammo.com/guns', options), '/guns');
+  assert.strictEqual(key('https://othersite.com/guns', options), 'othersite.com/guns');
+  assert.strictEqual(key('https://notammo.com.evil.io/guns', options), 'notammo.com.evil.io/guns');
+  assert.deepStrictEqual(SRLC.canonicalizeUrl('https://othersite.com/guns', options).steps, ['grouped under external host othersite.com']);
+});
+
+test('without a site domain, absolute URLs keep their host', () => {
+  assert.strictEqual(key('https://othersite.com/guns'), 'othersite.com/guns');
+  assert.strictEqual(key('//othersite.com/guns'), 'othersite.com/guns');
+  assert.strictEqual(key('/guns'), '/guns');
+  assert.strictEqual(key('https://othersite.com/guns', { canonical: { hostAware: false } }), '/guns');
+});
+
+test('links that point nowhere have no key', () => {
+  ['', '#', 'javascript:void(0)', 'mailto:a@b.c', 'tel:123'].forEach(href => assert.strictEqual(SRLC.canonicalizeUrl(href), null));
+});
+
+test('analyzeHtml groups spellings of the same page and records them as variants', () => {
+  const html = '<p><a href="/guns/">one</a> <a href="/guns/index.html?utm_source=x">two</a> <a href="https://othersite.com/guns">three</a></p>';
+  const result = SRLC.analyzeHtml(html, { document });
+  assert.deepStrictEqual(Object.keys(result.groups), ['/guns', 'othersite.com/guns']);
+  assert.deepStrictEqual(result.groups['/guns'].variants.map(v => v.href), ['/guns/', '/guns/index.html?utm_source=x']);
+});
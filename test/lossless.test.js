@@ -0,0 +1,74 @@
+// Round-trip fidelity of lossless output: with `lossless: true` the cleaned
+// article must be the source with the stripped anchors' tags cut out and
+// nothing else touched. Needs jsdom (the same dependency as cli.js):
+//
+//   node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const SRLC = require('../engine');
+
+const { document } = new JSDOM('').window;
+
+// Two differently worded links to a URL would both be kept by default
+function clean(html) {
+  return SRLC.cleanArticle(html, { rules: { lossless: true, keepTwoDifferentAnchors: false }, document });
+}
+
+// Each case lists the source and the source with the duplicate's tags cut
+// out by hand; the first occurrence of every URL is the one kept
+const CASES = [
+  {
+    name: 'single-quoted, unquoted and uppercase attributes',
+    html: `<p>See <a href='/a' class=x>alpha</a> and <A HREF="/a" DATA-X='1'>again</A> here.</p>`,
+    expected: `<p>See <a href='/a' class=x>alpha</a> and again here.</p>`
+  },
+  {
+    name: '&nbsp; and other entities',
+    html: `<p>Caf&eacute;&nbsp;<a href="/a">one</a> &amp; <a href="/a">tw&#111;&nbsp;&lt;3</a> &copy;&#x2014;</p>`,
+    expected: `<p>Caf&eacute;&nbsp;<a href="/a">one</a> &amp; tw&#111;&nbsp;&lt;3 &copy;&#x2014;</p>`
+  },
+  {
+    name: 'self-closing void elements',
+    html: `<p><a href="/a">one</a><br/>line<br />two <a href="/a">dup<br/>text</a><img src="x.png"/></p>`,
+    expected: `<p><a href="/a">one</a><br/>line<br />two dup<br/>text<img src="x.png"/></p>`
+  },
+  {
+    name: 'comments, including ones that mention anchors',
+    html: `<!-- <a href="/a">not a link</a> --><p><a href="/a">one</a><!-- keep --> <a href="/a"><!-- inside -->two</a></p>`,
+    expected: `<!-- <a href="/a">not a link</a> --><p><a href="/a">one</a><!-- keep --> <!-- inside -->two</p>`
+  },
+  {
+    name: '> inside attribute values',
+    html: `<p><a href="/a" title="a > b">one</a> <a href="/a" data-rule='x>y' title="1 > 0">two</a> <span title="<a>">s</span></p>`,
+    expected: `<p><a href="/a" title="a > b">one</a> two <span title="<a>">s</span></p>`
+  },
+  {
+    name: 'misnested inline tags',
+    html: `<p><b>bold <a href="/a">one</a> <i>it</b> tail</i> <a href="/a"><em>two</a></em></p>`,
+    expected: `<p><b>bold <a href="/a">one</a> <i>it</b> tail</i> <em>two</em></p>`
+  },
+  {
+    name: 'multiple stripped URLs',
+    html: `<ul>\n  <li><a href="/a">a1</a> <a href="/b">b1</a></li>\n  <li><a href="/b">b2</a> <a href="/a">a2</a></li>\n</ul>\n`,
+    expected: `<ul>\n  <li><a href="/a">a1</a> <a href="/b">b1</a></li>\n  <li>b2 a2</li>\n</ul>\n`
+  }
+];
+
+CASES.forEach(({ name, html, expected }) => {
+  test(name, () => {
+    const result = clean(html);
+    assert.ok(result.links.some(l => !l.keep), 'something is stripped');
+    assert.strictEqual(result.lossless, true, 'output was spliced, not re-serialized');
+    assert.strictEqual(result.cleanHtml, expected);
+  });
+});
+
+test('an article with nothing to strip comes back byte for byte', () => {
+  const html = `<P CLASS=intro>Only <a href='/a'>one</a>&nbsp;link<br/><!-- note --></P>\n`;
+  const result = clean(html);
+  assert.strictEqual(result.lossless, true);
+  assert.strictEqual(result.cleanHtml, html);
+});
@@ -0,0 +1,95 @@
+// Markdown / MDX: which links are found, and how cleaning edits the source —
+// removed links become their text, unused reference definitions go, and
+// fixes and text edits are written in place:
+//
+//   node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const SRLCMarkdown = require('../markdown');
+
+const { document } = new JSDOM('').window;
+
+// Two differently worded links to a URL would both be kept by default
+function clean(src, rules) {
+  return SRLCMarkdown.cleanMarkdown(src, { rules: Object.assign({ keepTwoDifferentAnchors: false }, rules), document });
+}
+
+// Analyze, let `edit` change the link records, then regenerate the source
+function edited(src, edit) {
+  const result = SRLCMarkdown.analyzeMarkdown(src, { document });
+  result.links.forEach(link => { link.keep = true; });
+  edit(result.links);
+  return SRLCMarkdown.generateCleanMarkdown(src, result.links);
+}
+
+test('every kind of link is found, and none inside code', () => {
+  const src = [
+    'An [inline](/a "Title") link, a [full][ref], a [collapsed][] and a [shortcut] reference,',
+    'an autolink <https://ammo.com/b>, an ![image](/i.png) link [![alt](/j.png)](/c) and <a href="/d">html</a>.',
+    '',
+    'Not `[code](/x)` though.',
+    '',
+    '```',
+    '[fenced](/y)',
+    '```',
+    '',
+    '[ref]: /e',
+    '[collapsed]: /f',
+    '[shortcut]: /g'
+  ].join('\n');
+  const { links } = SRLCMarkdown.parseMarkdown(src);
+  assert.deepStrictEqual(links.map(l => `${l.kind} ${l.href}`), [
+    'inline /a', 'reference /e', 'reference /f', 'reference /g', 'autolink https://ammo.com/b', 'inline /c', 'html /d'
+  ]);
+});
+
+test('a removed inline link becomes its text', () => {
+  const result = clean('See [alpha](/a) and [again](/a).\n');
+  assert.strictEqual(result.cleanMarkdown, 'See [alpha](/a) and again.\n');
+});
+
+test('a removed autolink becomes its URL', () => {
+  const result = clean('Visit <https://ammo.com/a> or <https://ammo.com/a>.\n');
+  assert.strictEqual(result.cleanMarkdown, 'Visit <https://ammo.com/a> or https://ammo.com/a.\n');
+});
+
+test('a definition only removed links used is dropped', () => {
+  const src = 'See [alpha](/a) and [again][a].\n\n[a]: /a\n';
+  const result = clean(src);
+  assert.strictEqual(result.cleanMarkdown, 'See [alpha](/a) and again.\n\n');
+  assert.deepStrictEqual(result.removedDefinitions, ['a']);
+});
+
+test('a definition a kept link still uses stays', () => {
+  const src = 'See [alpha][a] and [again][a] and [more](/b).\n\n[a]: /a\n[unused]: /z\n';
+  const result = clean(src);
+  assert.strictEqual(result.cleanMarkdown, 'See [alpha][a] and again and [more](/b).\n\n[a]: /a\n[unused]: /z\n');
+  assert.deepStrictEqual(result.removedDefinitions, []);
+});
+
+test('a fix on a reference link rewrites its definition once', () => {
+  const src = 'Read [one][a] and [two][a].\n\n[a]: /old\n';
+  const out = edited(src, links => links.forEach(link => { link.fix = { to: '/new' }; }));
+  assert.strictEqual(out.markdown, 'Read [one][a] and [two][a].\n\n[a]: /new\n');
+  assert.deepStrictEqual(out.linkFixes, [{ id: 0, from: '/old', to: '/new' }]);
+});
+
+test('text edits make room in autolinks and shortcut references', () => {
+  const src = 'See <https://ammo.com/a>, [guns] and [guns][].\n\n[guns]: /g\n';
+  const out = edited(src, links => {
+    links[0].textEdit = 'the ammo page';
+    links[1].textEdit = 'our guns';
+    links[2].textEdit = 'guns [2]';
+  });
+  assert.strictEqual(out.markdown, 'See [the ammo page](<https://ammo.com/a>), [our guns][guns] and [guns \\[2\\]][guns].\n\n[guns]: /g\n');
+});
+
+test('consecutive list items are one container for density checks', () => {
+  const src = Array.from({ length: 9 }, (_, i) => `- [item ${i}](/p${i})`).join('\n') + '\n';
+  const result = clean(src);
+  assert.deepStrictEqual(result.warnings.filter(w => w.type === 'density').map(w => w.message.split(':')[0]),
+    ['High link density (9 links) in list']);
+});
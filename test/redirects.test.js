@@ -0,0 +1,79 @@
+// Redirect maps: parsing the formats a CMS exports, following chains and
+// loops, and grouping/rewriting links to old slugs as their destination:
+//
+//   node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const SRLC = require('../engine');
+
+const { document } = new JSDOM('').window;
+
+test('CSV, TSV and arrow rows, with the header and comments skipped', () => {
+  const text = 'old,new\n# moved in 2023\n/a,/b\n/c\t/d\n"/e" -> "/f"\n\n/g => /h\n';
+  assert.deepStrictEqual(SRLC.parseRedirectMap(text), [['/a', '/b'], ['/c', '/d'], ['/e', '/f'], ['/g', '/h']]);
+});
+
+test('JSON objects and arrays of pairs or entries', () => {
+  assert.deepStrictEqual(SRLC.parseRedirectMap('{"/a": "/b"}'), [['/a', '/b']]);
+  assert.deepStrictEqual(SRLC.parseRedirectMap('[["/a", "/b"], {"from": "/c", "to": "/d"}, {"old": "/e", "new": "/f"}, {"from": "/g"}]'),
+    [['/a', '/b'], ['/c', '/d'], ['/e', '/f']]);
+  assert.throws(() => SRLC.parseRedirectMap('{"/a": '));
+});
+
+test('chains are followed to the final destination', () => {
+  const resolve = SRLC.createRedirectResolver([['/a', '/b'], ['/b', '/c'], ['/c', '/d']]);
+  assert.deepStrictEqual(resolve('/a'), { href: '/d', key: '/d', hops: ['/b', '/c', '/d'], loop: false });
+  assert.deepStrictEqual(resolve('/c'), { href: '/d', key: '/d', hops: ['/d'], loop: false });
+  assert.strictEqual(resolve('/d'), null);
+});
+
+test('loops are reported instead of followed', () => {
+  const resolve = SRLC.createRedirectResolver([['/a', '/b'], ['/b', '/c'], ['/c', '/a']]);
+  assert.deepStrictEqual(resolve('/a'), { href: null, key: '/a', hops: ['/b', '/c', '/a'], loop: true });
+});
+
+test('entries are keyed like links, so spellings of an old slug all match', () => {
+  const resolve = SRLC.createRedirectResolver([['https://www.ammo.com/old/?utm_source=x', '/new']], { domain: 'ammo.com' });
+  assert.strictEqual(resolve(SRLC.normalizeUrl('/old', { domain: 'ammo.com' })).href, '/new');
+  assert.strictEqual(resolve(SRLC.normalizeUrl('https://ammo.com/old/index.html', { domain: 'ammo.com' })).href, '/new');
+});
+
+test('without a site domain, the hosts of the old URLs are taken as the site', () => {
+  const resolve = SRLC.createRedirectResolver([['https://site.com/old', '/new']]);
+  assert.strictEqual(resolve(SRLC.normalizeUrl('/old')).key, '/new');
+  assert.strictEqual(resolve(SRLC.normalizeUrl('https://site.com/old')).key, '/new');
+  assert.strictEqual(resolve(SRLC.normalizeUrl('https://othersite.com/old')), null);
+});
+
+test('links to old and new slugs are one group, with a warning per redirected href', () => {
+  const html = '<p><a href="/new">new</a> and <a href="/old">old</a> and <a href="/older">older</a></p>';
+  const redirects = [['/older', '/old'], ['/old', '/new']];
+  const result = SRLC.analyzeHtml(html, { redirects, document });
+  assert.deepStrictEqual(Object.keys(result.groups), ['/new']);
+  assert.deepStrictEqual(result.links[2].redirect, { to: '/new', hops: ['/old', '/new'] });
+  assert.deepStrictEqual(result.warnings.filter(w => w.type === 'redirect').map(w => w.message), [
+    'Redirected link: "/old" → "/new" — "old"',
+    'Redirected link: "/older" → "/new" (2 hops) — "older"'
+  ]);
+});
+
+test('a link caught in a loop keeps its own group', () => {
+  const result = SRLC.analyzeHtml('<p><a href="/a">a</a></p>', { redirects: [['/a', '/b'], ['/b', '/a']], document });
+  assert.deepStrictEqual(Object.keys(result.groups), ['/a']);
+  assert.strictEqual(result.links[0].redirect, null);
+  assert.deepStrictEqual(result.warnings.map(w => w.message), ['Redirect loop: "/a" → "/b" → "/a"']);
+});
+
+test('kept links are rewritten to their destination when asked', () => {
+  const html = '<p><a href="/old">old page</a> and <a href="/new">new page</a></p>';
+  const redirects = [['/old', '/new']];
+  const plain = SRLC.cleanArticle(html, { redirects, document });
+  assert.strictEqual(plain.cleanHtml, html);
+
+  const result = SRLC.cleanArticle(html, { redirects, rules: { rewriteRedirects: true, lossless: true }, document });
+  assert.strictEqual(result.cleanHtml, '<p><a href="/new">old page</a> and <a href="/new">new page</a></p>');
+  assert.deepStrictEqual(result.redirectRewrites, [{ id: 0, from: '/old', to: '/new' }]);
+});
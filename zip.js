@@ -0,0 +1,165 @@
+// ===== SEO Redundant Link Cleaner — minimal ZIP support =====
+// Just enough of the ZIP format for batch mode: read stored/deflated entries
+// (via the platform's DecompressionStream) and write stored (uncompressed)
+// archives. No ZIP64, encryption or multi-disk archives.
+// Loads as a browser <script> (window.SRLCZip) or as a CommonJS module.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SRLCZip = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const LOCAL_HEADER = 0x04034b50;
+  const CENTRAL_HEADER = 0x02014b50;
+  const END_OF_CENTRAL_DIR = 0x06054b50;
+  const UTF8_FLAG = 0x0800;
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function findEndOfCentralDir(view) {
+    // The EOCD record is 22 bytes plus an optional comment of up to 64 KB
+    const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let i = view.byteLength - 22; i >= stop; i--) {
+      if (view.getUint32(i, true) === END_OF_CENTRAL_DIR) return i;
+    }
+    throw new Error('Not a ZIP file (end of central directory not found)');
+  }
+
+  async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot read compressed ZIP entries (no DecompressionStream)');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * List and extract every file in a ZIP archive.
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {Promise<Array<{name: string, data: Uint8Array}>>} directories omitted
+   */
+  async function readZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const eocd = findEndOfCentralDir(view);
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xffffffff || entryCount === 0xffff) throw new Error('ZIP64 archives are not supported');
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== CENTRAL_HEADER) throw new Error('Corrupt ZIP central directory');
+      const flags = view.getUint16(offset + 8, true);
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const nameBytes = bytes.subarray(offset + 46, offset + 46 + nameLength);
+      const name = new TextDecoder().decode(nameBytes);
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) continue;
+      if (flags & 0x0001) throw new Error(`Encrypted ZIP entries are not supported (${name})`);
+      if (view.getUint32(localOffset, true) !== LOCAL_HEADER) throw new Error(`Corrupt ZIP entry: ${name}`);
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+      let data;
+      if (method === 0) data = raw.slice();
+      else if (method === 8) data = await inflateRaw(raw);
+      else throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+      entries.push({ name, data });
+    }
+    return entries;
+  }
+
+  function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  /**
+   * Build an uncompressed ZIP archive.
+   * @param {Array<{name: string, data: string|Uint8Array}>} files - strings are UTF-8 encoded
+   * @returns {Uint8Array}
+   */
+  function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(new Date());
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, LOCAL_HEADER, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, UTF8_FLAG, true);
+      local.setUint16(8, 0, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      locals.push(new Uint8Array(local.buffer), name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, CENTRAL_HEADER, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, UTF8_FLAG, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, day, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      centrals.push(new Uint8Array(central.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((n, part) => n + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIR, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = locals.concat(centrals, [new Uint8Array(end.buffer)]);
+    const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+      out.set(part, pos);
+      pos += part.length;
+    }
+    return out;
+  }
+
+  return { readZip, createZip, crc32 };
+});